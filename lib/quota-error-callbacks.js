@@ -0,0 +1,71 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/**
+ * Returns the set of registered callbacks. It's kept on the global `goog`
+ * namespace, rather than in this module, so that the callbacks are shared by
+ * all the libraries that are loaded, even when they're built separately.
+ *
+ * @private
+ * @return {Set<Function>} The registered callbacks.
+ */
+function getCallbacks() {
+  self.goog = self.goog || {};
+  if (!self.goog._quotaErrorCallbacks) {
+    self.goog._quotaErrorCallbacks = new Set();
+  }
+  return self.goog._quotaErrorCallbacks;
+}
+
+/**
+ * Registers a callback that will be run, and awaited, whenever a cache write
+ * fails with a `QuotaExceededError`. This gives the callback a chance to free
+ * up space before the write is retried. It's passed an object with the
+ * `cacheName` of the failing write.
+ *
+ * @private
+ * @param {Function} callback The callback to run.
+ */
+export function registerQuotaErrorCallback(callback) {
+  if (typeof callback !== 'function') {
+    throw Error(`The 'callback' parameter must be a function.`);
+  }
+  getCallbacks().add(callback);
+}
+
+/**
+ * Checks whether any callbacks have been registered.
+ *
+ * @private
+ * @return {boolean} `true` if there's at least one callback.
+ */
+export function hasQuotaErrorCallbacks() {
+  return getCallbacks().size > 0;
+}
+
+/**
+ * Runs all of the registered callbacks, one at a time.
+ *
+ * @private
+ * @param {Object} input
+ * @param {string} input.cacheName The name of the cache that the failing
+ *        write was made to.
+ * @return {Promise} Resolves once all of the callbacks have completed.
+ */
+export function executeQuotaErrorCallbacks({cacheName}) {
+  return [...getCallbacks()].reduce(
+    (promise, callback) => promise.then(() => callback({cacheName})),
+    Promise.resolve());
+}
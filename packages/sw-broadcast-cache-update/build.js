@@ -13,6 +13,7 @@
  limitations under the License.
 */
 
+const path = require('path');
 const pkg = require('./package.json');
 const {buildJSBundle, generateBuildConfigs} = require('../../utils/build');
 
@@ -21,4 +22,20 @@ const buildConfigs = generateBuildConfigs({
   umd: pkg.main,
 }, __dirname, 'goog.broadcastCacheUpdate');
 
+// The page-side helper is built separately, since it runs in the window
+// rather than in the service worker.
+[true, false].forEach((minify) => {
+  buildConfigs.push({
+    rollupConfig: {
+      entry: path.join(__dirname, 'src', 'listen-for-cache-updates.js'),
+      format: 'umd',
+      moduleName: 'goog.listenForCacheUpdates',
+    },
+    buildPath: minify ? 'build/listen-for-cache-updates.min.js' :
+      'build/listen-for-cache-updates.js',
+    projectDir: __dirname,
+    minify,
+  });
+});
+
 module.exports = () => Promise.all(buildConfigs.map(buildJSBundle));
@@ -16,8 +16,8 @@
 /**
  * # sw-broadcast-cache-update
  *
- * A helper library that uses the Broadcast Channel API to announce when
- * two Response objects differ.
+ * A helper library that uses the Broadcast Channel API, or `postMessage()`, to
+ * announce when two Response objects differ.
  *
  * The main use of this module will be instantiating a new `Plugin` and
  * passing it to a
@@ -28,6 +28,13 @@
  * a browser channel with the same channel name as the Plugin,
  * which 'cache-updates' in the second example below.
  *
+ * In browsers that don't support the Broadcast Channel API, or when only the
+ * page that made the request should be told about the update, construct the
+ * Plugin with `deliveryMode: 'postMessage'` instead, and listen for messages
+ * on `navigator.serviceWorker`. The page-side helper in
+ * `build/listen-for-cache-updates.min.js` handles either delivery mode, as
+ * shown in the third example below.
+ *
  * @example <caption>Using the broadcastCacheUpdate.Plugin class in a
  * service worker.</caption>
  *
@@ -54,17 +61,32 @@
  *   console.log(`Cache updated: ${event.data.payload.updatedUrl}`);
  * });
  *
+ * @example <caption>Listening for update messages in the window, regardless
+ * of the delivery mode.</caption>
+ *
+ * <script src="listen-for-cache-updates.min.js"></script>
+ * <script>
+ *   goog.listenForCacheUpdates({
+ *     channelName: 'cache-updates',
+ *     callback: (message) => {
+ *       console.log(`Cache updated: ${message.payload.updatedUrl}`);
+ *     },
+ *   });
+ * </script>
+ *
  * @module sw-broadcast-cache-update
  */
 
 import Plugin from './lib/plugin';
 import broadcastUpdate from './lib/broadcast-update';
 import {cacheUpdatedMessageType} from './lib/constants';
+import postUpdate from './lib/post-update';
 import responsesAreSame from './lib/responses-are-same';
 
 export {
   Plugin,
   broadcastUpdate,
   cacheUpdatedMessageType,
+  postUpdate,
   responsesAreSame,
 };
@@ -14,7 +14,7 @@
 */
 
 import assert from '../../../../lib/assert';
-import {cacheUpdatedMessageType} from './constants';
+import createUpdateMessage from './create-update-message';
 
 /**
  * You would not normally call this method directly; it's called automatically
@@ -67,14 +67,7 @@ function broadcastUpdate({channel, cacheName, url, source}) {
   assert.isType({source}, 'string');
   assert.isType({url}, 'string');
 
-  channel.postMessage({
-    type: cacheUpdatedMessageType,
-    meta: source,
-    payload: {
-      cacheName: cacheName,
-      updatedUrl: url,
-    },
-  });
+  channel.postMessage(createUpdateMessage({cacheName, url, source}));
 }
 
 export default broadcastUpdate;
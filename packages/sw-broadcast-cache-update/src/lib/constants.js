@@ -52,8 +52,24 @@ const defaultHeadersToCheck = [
  */
 const defaultSource = 'sw-broadcast-cache-update';
 
+/**
+ * The ways in which update messages can be delivered: either on a
+ * `BroadcastChannel`, or via `postMessage()` to the relevant window clients.
+ * The first one is the default.
+ *
+ * @private
+ * @type {Array<string>}
+ *
+ * @memberof module:sw-broadcast-cache-update
+ */
+const deliveryModes = [
+  'broadcastChannel',
+  'postMessage',
+];
+
 export {
   cacheUpdatedMessageType,
   defaultHeadersToCheck,
   defaultSource,
+  deliveryModes,
 };
@@ -0,0 +1,43 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import {cacheUpdatedMessageType} from './constants';
+
+/**
+ * Builds the message that's sent to interested clients when a cached response
+ * is updated, regardless of how it's delivered.
+ *
+ * @private
+ * @param {Object} input
+ * @param {string} input.cacheName The name of the cache in which the updated
+ *        `Response` was stored.
+ * @param {string} input.url The URL associated with the updated `Response`.
+ * @param {string} input.source A string identifying the source of the update.
+ * @return {Object} The update message.
+ *
+ * @memberof module:sw-broadcast-cache-update
+ */
+function createUpdateMessage({cacheName, url, source}) {
+  return {
+    type: cacheUpdatedMessageType,
+    meta: source,
+    payload: {
+      cacheName: cacheName,
+      updatedUrl: url,
+    },
+  };
+}
+
+export default createUpdateMessage;
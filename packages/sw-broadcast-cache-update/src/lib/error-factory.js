@@ -17,7 +17,9 @@ import ErrorFactory from '../../../../lib/error-factory';
 
 const errors = {
   'channel-name-required': `The channelName parameter is required when
-    constructing a new Plugin`,
+    constructing a new Plugin with the 'broadcastChannel' deliveryMode`,
+  'invalid-delivery-mode': `The deliveryMode parameter must be either
+    'broadcastChannel' or 'postMessage'`,
   'responses-are-same-parameters-required': `The first, second, and
     headersToCheck parameters must be valid when calling responsesAreSame()`,
 };
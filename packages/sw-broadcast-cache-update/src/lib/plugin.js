@@ -16,8 +16,13 @@
 import ErrorFactory from './error-factory';
 import assert from '../../../../lib/assert';
 import broadcastUpdate from './broadcast-update';
+import postUpdate from './post-update';
 import responsesAreSame from './responses-are-same';
-import {defaultHeadersToCheck, defaultSource} from './constants';
+import {
+  defaultHeadersToCheck,
+  defaultSource,
+  deliveryModes,
+} from './constants';
 
 /**
  * Can be used to compare two [Responses](https://developer.mozilla.org/en-US/docs/Web/API/Response)
@@ -27,6 +32,11 @@ import {defaultHeadersToCheck, defaultSource} from './constants';
  * For efficiency's sake, the underlying response bodies are not compared;
  * only specific response headers are checked.
  *
+ * Browsers without the Broadcast Channel API, like Safari, can be supported by
+ * setting `deliveryMode` to `'postMessage'`. Messages are then sent with
+ * `postMessage()` to the window that made the request, or to every window if
+ * that one can't be found.
+ *
  * @example <caption>Added as a "plugin" to a `RequestWrapper` to
  * automatically dispatch messages on a cache update</caption>
  *
@@ -41,6 +51,16 @@ import {defaultHeadersToCheck, defaultSource} from './constants';
  *   handler: new goog.runtimeCaching.StaleWhileRevalidate({requestWrapper})
  * });
  *
+ * @example <caption>Sending messages only to the window that made the
+ * request</caption>
+ *
+ * const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+ *   cacheName: 'runtime-cache',
+ *   plugins: [
+ *     new goog.broadcastCacheUpdate.Plugin({deliveryMode: 'postMessage'})
+ *   ]
+ * });
+ *
  * @example <caption>Trigger a message by manually calling
  * the `notifyIfUpdated()` method.</caption>
  *
@@ -70,24 +90,35 @@ import {defaultHeadersToCheck, defaultSource} from './constants';
 class Plugin {
   /**
    * Dispatches cache update messages when a cached response has been updated.
-   * Messages will be dispatched on a broadcast channel with the name provided
-   * as channelName parameter in the constructor.
+   * By default, messages will be dispatched on a broadcast channel with the
+   * name provided as channelName parameter in the constructor.
    *
    * @param {Object} input
-   * @param {string} input.channelName The name that will be used when creating
-   *        the `BroadcastChannel`.
+   * @param {string} [input.channelName] The name that will be used when
+   *        creating the `BroadcastChannel`. Required when `deliveryMode` is
+   *        `'broadcastChannel'`.
    * @param {Array<string>} input.headersToCheck A list of headers that will be
    *        used to determine whether the responses differ. Defaults to
    *        `['content-length', 'etag', 'last-modified']`.
    * @param {string} input.source An attribution value that indicates where
    *        the update originated. Defaults to 'sw-broadcast-cache-update'.
+   * @param {string} [input.deliveryMode] How messages are delivered: either
+   *        `'broadcastChannel'`, the default, or `'postMessage'` to send them
+   *        to the window that made the request.
    */
-  constructor({channelName, headersToCheck, source}={}) {
-    if (typeof channelName !== 'string' || channelName.length === 0) {
+  constructor({channelName, headersToCheck, source, deliveryMode}={}) {
+    deliveryMode = deliveryMode || deliveryModes[0];
+    if (!deliveryModes.includes(deliveryMode)) {
+      throw ErrorFactory.createError('invalid-delivery-mode');
+    }
+
+    if (deliveryMode === 'broadcastChannel' &&
+        (typeof channelName !== 'string' || channelName.length === 0)) {
       throw ErrorFactory.createError('channel-name-required');
     }
 
     this.channelName = channelName;
+    this.deliveryMode = deliveryMode;
     this.headersToCheck = headersToCheck || defaultHeadersToCheck;
     this.source = source || defaultSource;
   }
@@ -118,18 +149,24 @@ class Plugin {
    * @param {string} input.cacheName Name of the cache the responses belong to.
    * @param {Response} [input.oldResponse] The previous cached value, if any.
    * @param {Response} input.newResponse The new value in the cache.
+   * @param {FetchEvent} [input.event] The event that triggered the update,
+   *        used to find the client to notify in `'postMessage'` mode.
+   * @return {Promise} Resolves once any notification has been sent.
    */
-  cacheDidUpdate({cacheName, oldResponse, newResponse}) {
+  cacheDidUpdate({cacheName, oldResponse, newResponse, event}) {
     assert.isType({cacheName}, 'string');
     assert.isInstance({newResponse}, Response);
 
     if (oldResponse) {
-      this.notifyIfUpdated({
+      return this.notifyIfUpdated({
         cacheName,
         first: oldResponse,
-        second: newResponse}
-      );
+        second: newResponse,
+        clientId: event && event.clientId,
+      });
     }
+
+    return Promise.resolve();
   }
 
   /**
@@ -137,7 +174,7 @@ class Plugin {
    * two [Responses](https://developer.mozilla.org/en-US/docs/Web/API/Response)
    * and fire off a notification via the
    * {@link https://developers.google.com/web/updates/2016/09/broadcastchannel|Broadcast Channel API}
-   * if they differ.
+   * or `postMessage()`, depending on the `deliveryMode`, if they differ.
    *
    * @param {Object} input The input object to this function.
    * @param {Response} input.first One of the responses to compare.
@@ -145,15 +182,27 @@ class Plugin {
    * @param {Response} input.second Another of the respones to compare.
    *        This should not be an {@link http://stackoverflow.com/questions/39109789|opaque response}.
    * @param {string} input.cacheName Name of the cache the responses belong to.
+   * @param {string} [input.clientId] The id of the client to notify when the
+   *        `deliveryMode` is `'postMessage'`. If it's not provided, or the
+   *        client can't be found, every window client is notified.
+   * @return {Promise} Resolves once any notification has been sent.
    */
-  notifyIfUpdated({first, second, cacheName}) {
+  notifyIfUpdated({first, second, cacheName, clientId}) {
     assert.isType({cacheName}, 'string');
 
     if (
-      !responsesAreSame({first, second, headersToCheck: this.headersToCheck})) {
-      broadcastUpdate({cacheName, url: second.url,
-        channel: this.channel, source: this.source});
+      responsesAreSame({first, second, headersToCheck: this.headersToCheck})) {
+      return Promise.resolve();
     }
+
+    if (this.deliveryMode === 'postMessage') {
+      return postUpdate({cacheName, clientId, url: second.url,
+        source: this.source});
+    }
+
+    broadcastUpdate({cacheName, url: second.url,
+      channel: this.channel, source: this.source});
+    return Promise.resolve();
   }
 }
 
@@ -0,0 +1,78 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import assert from '../../../../lib/assert';
+import createUpdateMessage from './create-update-message';
+
+/**
+ * You would not normally call this method directly; it's called automatically
+ * by an instance of the {@link Plugin} class when its `deliveryMode` is
+ * `'postMessage'`. It's exposed here for the benefit of developers who would
+ * rather not use the full `Plugin` implementation.
+ *
+ * Calling this will send the same message as
+ * {@link module:sw-broadcast-cache-update.broadcastUpdate|broadcastUpdate()},
+ * but using [`Client.postMessage()`](https://developer.mozilla.org/en-US/docs/Web/API/Client/postMessage)
+ * instead of a `BroadcastChannel`, which makes it usable in browsers that
+ * don't support the Broadcast Channel API.
+ *
+ * If `clientId` identifies an existing client, such as the page that made the
+ * request that led to the update, only that client is sent the message.
+ * Otherwise, it's sent to every window client within the service worker's
+ * origin.
+ *
+ * @example
+ * self.addEventListener('fetch', (event) => {
+ *   event.waitUntil(goog.broadcastCacheUpdate.postUpdate({
+ *     clientId: event.clientId,
+ *     cacheName: 'example-cache-name',
+ *     url: event.request.url,
+ *     source: 'custom-library'
+ *   }));
+ * });
+ *
+ * @memberof module:sw-broadcast-cache-update
+ *
+ * @param {Object} input
+ * @param {string} [input.clientId] The id of the client to send the message
+ *        to, e.g. the `clientId` of a `FetchEvent`.
+ * @param {string} input.cacheName The name of the cache in which the updated
+ *        `Response` was stored.
+ * @param {string} input.url The URL associated with the updated `Response`.
+ * @param {string} input.source A string identifying this library as the source
+ *        of the update message.
+ * @return {Promise.<Array.<Client>>} Resolves with the clients that were sent
+ *         the message.
+ */
+async function postUpdate({clientId, cacheName, url, source}) {
+  assert.isType({cacheName}, 'string');
+  assert.isType({source}, 'string');
+  assert.isType({url}, 'string');
+
+  const message = createUpdateMessage({cacheName, url, source});
+
+  const client = clientId ? await self.clients.get(clientId) : undefined;
+  const clientsToNotify = client ? [client] : await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+
+  clientsToNotify.forEach((clientToNotify) => {
+    clientToNotify.postMessage(message);
+  });
+  return clientsToNotify;
+}
+
+export default postUpdate;
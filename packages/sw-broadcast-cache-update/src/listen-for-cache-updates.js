@@ -0,0 +1,90 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/* eslint-env browser */
+
+import assert from '../../../lib/assert';
+import {cacheUpdatedMessageType} from './lib/constants';
+
+/**
+ * A helper to use from your web app, rather than the service worker, that
+ * subscribes to the `CACHE_UPDATED` messages sent by a
+ * {@link module:sw-broadcast-cache-update.Plugin|Plugin}, whichever
+ * `deliveryMode` it's using.
+ *
+ * Messages sent on a `BroadcastChannel` are only received if `channelName` is
+ * provided and the browser supports the Broadcast Channel API. Messages sent
+ * with `postMessage()` are received through `navigator.serviceWorker`.
+ *
+ * This is built separately from the rest of the module, and can be loaded in
+ * the page from `build/listen-for-cache-updates.min.js`, which exposes it as
+ * `goog.listenForCacheUpdates`.
+ *
+ * @example
+ * const stopListening = goog.listenForCacheUpdates({
+ *   channelName: 'cache-updates',
+ *   callback: (message) => {
+ *     console.log(`Cache updated: ${message.payload.updatedUrl}`);
+ *   },
+ * });
+ *
+ * // Later, when updates are no longer of interest:
+ * stopListening();
+ *
+ * @memberof module:sw-broadcast-cache-update
+ *
+ * @param {Object} input
+ * @param {string} [input.channelName] The name of the `BroadcastChannel` the
+ *        `Plugin` posts on, if it uses the `'broadcastChannel'` mode.
+ * @param {Function} input.callback Called with each update message, which has
+ *        the `{type, meta, payload}` format described in the docs for
+ *        `broadcastUpdate()`.
+ * @return {Function} Call this to stop listening for updates.
+ */
+function listenForCacheUpdates({channelName, callback}={}) {
+  assert.isType({callback}, 'function');
+
+  const onMessage = (event) => {
+    if (event.data && event.data.type === cacheUpdatedMessageType) {
+      callback(event.data);
+    }
+  };
+
+  let channel;
+  if (channelName && 'BroadcastChannel' in window) {
+    channel = new BroadcastChannel(channelName);
+    channel.addEventListener('message', onMessage);
+  }
+
+  const serviceWorker = navigator.serviceWorker;
+  if (serviceWorker) {
+    serviceWorker.addEventListener('message', onMessage);
+    // Messages sent before the page is loaded are queued until this is called.
+    if (serviceWorker.startMessages) {
+      serviceWorker.startMessages();
+    }
+  }
+
+  return () => {
+    if (channel) {
+      channel.close();
+    }
+    if (serviceWorker) {
+      serviceWorker.removeEventListener('message', onMessage);
+    }
+  };
+}
+
+export default listenForCacheUpdates;
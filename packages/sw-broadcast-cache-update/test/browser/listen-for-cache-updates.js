@@ -0,0 +1,91 @@
+describe('Test of the listenForCacheUpdates function', function() {
+  const updateMessage = {
+    type: 'CACHE_UPDATED',
+    meta: 'test-source',
+    payload: {
+      cacheName: 'test-cache',
+      updatedUrl: 'https://example.com',
+    },
+  };
+
+  let stopListening;
+
+  // The helper runs in the page rather than in the service worker, so its
+  // bundle is loaded into this window.
+  before(function() {
+    return new Promise((resolve, reject) => {
+      const scriptElement = document.createElement('script');
+      scriptElement.src = '/packages/sw-broadcast-cache-update/build/listen-for-cache-updates.min.js';
+      scriptElement.addEventListener('load', () => resolve());
+      scriptElement.addEventListener('error', () => reject(
+        new Error('Unable to load listen-for-cache-updates.min.js')));
+      document.head.appendChild(scriptElement);
+    });
+  });
+
+  afterEach(function() {
+    if (stopListening) {
+      stopListening();
+      stopListening = null;
+    }
+  });
+
+  const dispatchServiceWorkerMessage = (data) => {
+    navigator.serviceWorker.dispatchEvent(new MessageEvent('message', {data}));
+  };
+
+  it('should throw when called without a callback', function() {
+    expect(() => goog.listenForCacheUpdates({channelName: 'test-channel'}))
+      .to.throw();
+  });
+
+  it('should pass on update messages sent on the BroadcastChannel', function() {
+    if (!('BroadcastChannel' in window)) {
+      this.skip();
+    }
+
+    const channelName = 'listen-for-cache-updates-test';
+    const channel = new BroadcastChannel(channelName);
+    return new Promise((resolve) => {
+      stopListening = goog.listenForCacheUpdates({
+        channelName,
+        callback: resolve,
+      });
+      channel.postMessage(updateMessage);
+    }).then((message) => {
+      channel.close();
+      expect(message).to.eql(updateMessage);
+    });
+  });
+
+  it('should pass on update messages posted by the service worker', function() {
+    const messages = [];
+    stopListening = goog.listenForCacheUpdates({
+      callback: (message) => messages.push(message),
+    });
+
+    dispatchServiceWorkerMessage(updateMessage);
+    expect(messages).to.eql([updateMessage]);
+  });
+
+  it('should ignore messages that aren\'t updates', function() {
+    const messages = [];
+    stopListening = goog.listenForCacheUpdates({
+      callback: (message) => messages.push(message),
+    });
+
+    dispatchServiceWorkerMessage({type: 'SOMETHING_ELSE'});
+    dispatchServiceWorkerMessage(null);
+    expect(messages).to.eql([]);
+  });
+
+  it('should stop passing on messages once the returned function is called', function() {
+    const messages = [];
+    goog.listenForCacheUpdates({
+      callback: (message) => messages.push(message),
+    })();
+
+    dispatchServiceWorkerMessage(updateMessage);
+    expect(messages).to.eql([]);
+  });
+});
@@ -4,6 +4,7 @@ describe('Service Worker Unit Test Registration', function() {
     'plugin.js',
     'broadcast-update.js',
     'namespace.js',
+    'post-update.js',
     'responses-are-same.js',
   ].map((script) => `${pathPrefix}${script}`);
 
@@ -15,6 +15,7 @@ const exportedSymbols = [
   'Plugin',
   'broadcastUpdate',
   'cacheUpdatedMessageType',
+  'postUpdate',
   'responsesAreSame',
 ];
 
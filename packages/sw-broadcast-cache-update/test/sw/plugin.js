@@ -62,4 +62,88 @@ describe('Test of the Plugin class', function() {
     expect(broadcastChannel).to.eql(plugin.channel);
     expect(broadcastChannel.name).to.equal(channelName);
   });
+
+  it(`should default to the 'broadcastChannel' deliveryMode`, function() {
+    const plugin = new goog.broadcastCacheUpdate.Plugin({channelName});
+    expect(plugin.deliveryMode).to.equal('broadcastChannel');
+  });
+
+  it(`should not require a channelName in the 'postMessage' deliveryMode`, function() {
+    const plugin = new goog.broadcastCacheUpdate.Plugin({
+      deliveryMode: 'postMessage',
+    });
+    expect(plugin.deliveryMode).to.equal('postMessage');
+  });
+
+  it(`should throw when an invalid deliveryMode is used`, function() {
+    let thrownError = null;
+    try {
+      new goog.broadcastCacheUpdate.Plugin({
+        channelName,
+        deliveryMode: 'carrierPigeon',
+      });
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('invalid-delivery-mode');
+  });
+
+  describe(`in the 'postMessage' deliveryMode`, function() {
+    let postedMessages;
+
+    // self.clients is read-only, so it's replaced by shadowing it on the
+    // global scope. Every client lookup finds a client that records the
+    // messages posted to it.
+    beforeEach(function() {
+      postedMessages = [];
+      const client = {postMessage: (message) => postedMessages.push(message)};
+      Object.defineProperty(self, 'clients', {
+        value: {
+          get: () => Promise.resolve(client),
+          matchAll: () => Promise.resolve([client]),
+        },
+        configurable: true,
+      });
+    });
+
+    afterEach(function() {
+      delete self.clients;
+    });
+
+    it(`should not notify anyone when the responses are the same`, function() {
+      const plugin = new goog.broadcastCacheUpdate.Plugin({
+        deliveryMode: 'postMessage',
+      });
+      const first = new Response('', {headers: {etag: '1'}});
+      const second = new Response('', {headers: {etag: '1'}});
+      return plugin.cacheDidUpdate({
+        cacheName: 'test-cache',
+        oldResponse: first,
+        newResponse: second,
+        event: {clientId: 'test-client'},
+      }).then(() => expect(postedMessages).to.eql([]));
+    });
+
+    it(`should notify the client when the responses differ`, function() {
+      const plugin = new goog.broadcastCacheUpdate.Plugin({
+        deliveryMode: 'postMessage',
+        source,
+      });
+      const first = new Response('', {headers: {etag: '1'}});
+      const second = new Response('', {headers: {etag: '2'}});
+      return plugin.cacheDidUpdate({
+        cacheName: 'test-cache',
+        oldResponse: first,
+        newResponse: second,
+        event: {clientId: 'test-client'},
+      }).then(() => {
+        expect(postedMessages.length).to.equal(1);
+        expect(postedMessages[0].type).to.equal(
+          goog.broadcastCacheUpdate.cacheUpdatedMessageType);
+        expect(postedMessages[0].meta).to.equal(source);
+        expect(postedMessages[0].payload.cacheName).to.equal('test-cache');
+      });
+    });
+  });
 });
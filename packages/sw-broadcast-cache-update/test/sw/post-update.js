@@ -0,0 +1,126 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-broadcast-cache-update/build/sw-broadcast-cache-update.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the postUpdate function', function() {
+  const cacheName = 'test-cache';
+  const source = 'test-source';
+  const url = 'https://example.com';
+  const expectedMessage = {
+    type: 'CACHE_UPDATED',
+    meta: source,
+    payload: {
+      cacheName,
+      updatedUrl: url,
+    },
+  };
+
+  // Returns a client stand-in that records the messages posted to it.
+  const createClient = () => {
+    const client = {messages: []};
+    client.postMessage = (message) => client.messages.push(message);
+    return client;
+  };
+
+  // Replaces self.clients, which is read-only, with the given stand-in by
+  // shadowing it on the global scope.
+  const stubClients = (clients) => {
+    Object.defineProperty(self, 'clients', {value: clients, configurable: true});
+  };
+
+  afterEach(function() {
+    delete self.clients;
+  });
+
+  it(`should reject when postUpdate() is called without any parameters`, function() {
+    return goog.broadcastCacheUpdate.postUpdate()
+      .then(() => {
+        throw new Error('Expected an error.');
+      }, (err) => {
+        expect(err).to.exist;
+      });
+  });
+
+  it(`should reject when the url isn't a string`, function() {
+    return goog.broadcastCacheUpdate.postUpdate({
+      cacheName: 'test-cache',
+      source: 'test-source',
+      url: 123,
+    }).then(() => {
+      throw new Error('Expected an error.');
+    }, (err) => {
+      expect(err.message).to.contain('url');
+    });
+  });
+
+  it(`should only send the message to the client identified by clientId`, function() {
+    const client = createClient();
+    const otherClient = createClient();
+    let requestedClientId;
+    stubClients({
+      get: (clientId) => {
+        requestedClientId = clientId;
+        return Promise.resolve(client);
+      },
+      matchAll: () => Promise.resolve([client, otherClient]),
+    });
+
+    return goog.broadcastCacheUpdate.postUpdate({
+      clientId: 'test-client', cacheName, source, url,
+    }).then((notifiedClients) => {
+      expect(requestedClientId).to.equal('test-client');
+      expect(notifiedClients).to.eql([client]);
+      expect(client.messages).to.eql([expectedMessage]);
+      expect(otherClient.messages).to.eql([]);
+    });
+  });
+
+  it(`should send the message to every window client when the clientId client can't be found`, function() {
+    const clients = [createClient(), createClient()];
+    let matchAllOptions;
+    stubClients({
+      get: () => Promise.resolve(undefined),
+      matchAll: (options) => {
+        matchAllOptions = options;
+        return Promise.resolve(clients);
+      },
+    });
+
+    return goog.broadcastCacheUpdate.postUpdate({
+      clientId: 'missing-client', cacheName, source, url,
+    }).then((notifiedClients) => {
+      expect(matchAllOptions).to.eql({type: 'window', includeUncontrolled: true});
+      expect(notifiedClients).to.eql(clients);
+      clients.forEach((client) => {
+        expect(client.messages).to.eql([expectedMessage]);
+      });
+    });
+  });
+
+  it(`should send the message to every window client when there's no clientId`, function() {
+    const client = createClient();
+    let getWasCalled = false;
+    stubClients({
+      get: () => {
+        getWasCalled = true;
+        return Promise.resolve(client);
+      },
+      matchAll: () => Promise.resolve([client]),
+    });
+
+    return goog.broadcastCacheUpdate.postUpdate({cacheName, source, url})
+      .then(() => {
+        expect(getWasCalled).to.equal(false);
+        expect(client.messages).to.eql([expectedMessage]);
+      });
+  });
+});
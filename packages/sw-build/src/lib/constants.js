@@ -1,4 +1,6 @@
 module.exports = {
   // Max File Size: 2MB
   maximumFileSize: 2 * 1024 * 1024,
+  // Hash algorithms that can be used for Subresource Integrity values.
+  integrityAlgorithms: ['sha256', 'sha384', 'sha512'],
 };
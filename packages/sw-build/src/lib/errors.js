@@ -18,6 +18,8 @@ module.exports = {
     'in a config file.',
   'unable-to-get-file-hash': 'An error occured when attempting to create a ' +
     'file hash.',
+  'unable-to-get-file-integrity': 'An error occured when attempting to ' +
+    'create a file integrity value.',
   'unable-to-get-file-size': 'An error occured when attempting to get a ' +
     'file size.',
   'unable-to-glob-files': 'An error occured when globbing for files.',
@@ -47,4 +49,6 @@ module.exports = {
     'strings or JavaScript objects containing a url parameter.',
   'invalid-generate-file-manifest-arg': 'The input to generateFileManifest() ' +
     'must be an Object.',
+  'invalid-integrity-algorithm': 'The integrityAlgorithm must be one of ' +
+    '\'sha256\', \'sha384\' or \'sha512\'.',
 };
@@ -28,6 +28,9 @@ const errors = require('./errors');
  * generating the build manifest.
  * @param {String|Array<String>} input.globIgnores Patterns to exclude when
  * generating the build manifest.
+ * @param {String} [input.integrityAlgorithm] Adds an `integrity` value to
+ * each manifest entry using this hash algorithm (`'sha256'`, `'sha384'` or
+ * `'sha512'`).
  * @return {Promise} Resolves once the service worker has been generated
  * with a precache list.
  *
@@ -43,9 +46,10 @@ const generateFileManifest = (input) => {
   const rootDirectory = input.rootDirectory;
   const globPatterns = input.globPatterns;
   const globIgnores = input.globIgnores;
+  const integrityAlgorithm = input.integrityAlgorithm;
 
   const fileEntries = getFileManifestEntries({
-    rootDirectory, globPatterns, globIgnores,
+    rootDirectory, globPatterns, globIgnores, integrityAlgorithm,
   });
   return writeFileManifest(dest, fileEntries);
 };
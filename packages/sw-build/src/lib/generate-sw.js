@@ -31,6 +31,9 @@ const errors = require('./errors');
  * generating the build manifest.
  * @param {String} input.serviceWorkerName The name you wish to give to your
  * service worker file.
+ * @param {String} [input.integrityAlgorithm] Adds an `integrity` value to
+ * each manifest entry using this hash algorithm (`'sha256'`, `'sha384'` or
+ * `'sha512'`).
  * @return {Promise} Resolves once the service worker has been generated
  * with a precache list.
  *
@@ -45,6 +48,7 @@ const generateSW = function(input) {
   const globPatterns = input.globPatterns;
   const globIgnores = input.globIgnores;
   const serviceWorkerName = input.serviceWorkerName;
+  const integrityAlgorithm = input.integrityAlgorithm;
 
   if (typeof rootDirectory !== 'string' || rootDirectory.length === 0) {
     return Promise.reject(
@@ -64,7 +68,7 @@ const generateSW = function(input) {
   })
   .then(() => {
     const manifestEntries = getFileManifestEntries(
-      {globPatterns, globIgnores, rootDirectory});
+      {globPatterns, globIgnores, rootDirectory, integrityAlgorithm});
     return writeServiceWorker(
       path.join(rootDirectory, serviceWorkerName),
       manifestEntries,
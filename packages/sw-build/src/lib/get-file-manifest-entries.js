@@ -1,5 +1,6 @@
 const getFileDetails = require('./utils/get-file-details');
 const filterFiles = require('./utils/filter-files');
+const constants = require('./constants');
 const errors = require('./errors');
 
 /**
@@ -7,6 +8,8 @@ const errors = require('./errors');
  * @property {String} url The URL to the asset in the manifest.
  * @property {String} revision The revision details for the file. This is a
  * hash generated by node based on the file contents.
+ * @property {String} [integrity] A Subresource Integrity value for the file,
+ * only present when an `integrityAlgorithm` is requested.
  * @memberof module:sw-build
  */
 
@@ -21,6 +24,9 @@ const errors = require('./errors');
  * @param {Array<String>} input.globIgnores  Patterns used to exclude files
  * from the file entries.
  * @param {String} input.rootDirectory The directory run the glob patterns over.
+ * @param {String} [input.integrityAlgorithm] One of `'sha256'`, `'sha384'` or
+ * `'sha512'`. If set, each entry gets an `integrity` value that the service
+ * worker checks downloaded files against.
  * @return {Array<ManifestEntry>} An array of ManifestEntries will include
  * a url and revision details for each file found.
  * @memberof module:sw-build
@@ -33,17 +39,24 @@ const getFileManifestEntries = (input) => {
   const globPatterns = input.globPatterns;
   const globIgnores = input.globIgnores;
   const rootDirectory = input.rootDirectory;
+  const integrityAlgorithm = input.integrityAlgorithm;
 
   if (typeof rootDirectory !== 'string' || rootDirectory.length === 0) {
     return Promise.reject(
       new Error(errors['invalid-root-directory']));
   }
 
+  if (typeof integrityAlgorithm !== 'undefined' &&
+    constants.integrityAlgorithms.indexOf(integrityAlgorithm) === -1) {
+    return Promise.reject(
+      new Error(errors['invalid-integrity-algorithm']));
+  }
+
   const fileSet = new Set();
 
   const fileDetails = globPatterns.reduce((accumulated, globPattern) => {
     const globbedFileDetails = getFileDetails(
-      rootDirectory, globPattern, globIgnores);
+      rootDirectory, globPattern, globIgnores, integrityAlgorithm);
     globbedFileDetails.forEach((fileDetails) => {
       if (fileSet.has(fileDetails.file)) {
         return;
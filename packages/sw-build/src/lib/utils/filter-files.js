@@ -19,9 +19,13 @@ module.exports = (fileDetails) => {
 
   // Convert to manifest format
   return filteredFileDetails.map((fileDetails) => {
-    return {
+    const manifestEntry = {
       url: '/' + fileDetails.file.replace(path.sep, '/'),
       revision: fileDetails.hash,
     };
+    if (fileDetails.integrity) {
+      manifestEntry.integrity = fileDetails.integrity;
+    }
+    return manifestEntry;
   });
 };
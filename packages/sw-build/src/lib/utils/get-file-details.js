@@ -3,9 +3,11 @@ const path = require('path');
 
 const getFileSize = require('./get-file-size');
 const getFileHash = require('./get-file-hash');
+const getFileIntegrity = require('./get-file-integrity');
 const errors = require('../errors');
 
-module.exports = (rootDirectory, globPattern, globIgnores) => {
+module.exports = (rootDirectory, globPattern, globIgnores,
+  integrityAlgorithm) => {
   let globbedFiles;
   try {
     globbedFiles = glob.sync(globPattern, {
@@ -22,11 +24,15 @@ module.exports = (rootDirectory, globPattern, globIgnores) => {
     }
 
     const fileHash = getFileHash(file);
-    return {
+    const details = {
       file: `${path.relative(rootDirectory, file)}`,
       hash: fileHash,
       size: fileSize,
     };
+    if (integrityAlgorithm) {
+      details.integrity = getFileIntegrity(file, integrityAlgorithm);
+    }
+    return details;
   });
 
   // If !== null, means it's a valid file.
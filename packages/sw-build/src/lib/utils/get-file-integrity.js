@@ -0,0 +1,16 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const errors = require('../errors');
+
+module.exports = (file, algorithm) => {
+  try {
+    const buffer = fs.readFileSync(file);
+    const hash = crypto.createHash(algorithm);
+    hash.update(buffer);
+    return `${algorithm}-${hash.digest('base64')}`;
+  } catch (err) {
+    throw new Error(errors['unable-to-get-file-integrity'] +
+      ` '${err.message}'`);
+  }
+};
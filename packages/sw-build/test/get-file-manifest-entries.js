@@ -57,6 +57,20 @@ describe('Test getFileManifestEntries', function() {
     }, Promise.resolve());
   });
 
+  it('should detect bad integrityAlgorithm', function() {
+    const args = Object.assign({}, EXAMPLE_INPUT);
+    args.integrityAlgorithm = 'md5';
+    return swBuild.getFileManifestEntries(args)
+    .then(() => {
+      throw new Error('Expected to throw error.');
+    })
+    .catch((err) => {
+      if (err.message !== errors['invalid-integrity-algorithm']) {
+        throw new Error('Unexpected error: ' + err.message);
+      }
+    });
+  });
+
   it('should return file entries through each phase', function() {
     const testInput = {
       globPatterns: [
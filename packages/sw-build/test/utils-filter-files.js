@@ -46,4 +46,23 @@ describe('src/lib/utils/filter-files.js', function() {
       manifestEntry.revision.should.equal(matchingGoodFile.hash);
     });
   });
+
+  it('should include integrity values when present', function() {
+    const manifestEntries = filterFiles([
+      {
+        file: 'ok.txt',
+        size: 1234,
+        hash: 'example-hash',
+        integrity: 'sha256-example',
+      },
+      {
+        file: 'ok-2.txt',
+        size: 1234,
+        hash: 'example-hash-2',
+      },
+    ]);
+
+    manifestEntries[0].integrity.should.equal('sha256-example');
+    manifestEntries[1].should.not.have.property('integrity');
+  });
 });
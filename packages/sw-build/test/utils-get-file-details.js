@@ -129,4 +129,23 @@ describe('src/lib/utils/get-file-details.js', function() {
       }
     });
   });
+
+  it('should add integrity values when an algorithm is given', function() {
+    const getFileDetails = proxyquire('../src/lib/utils/get-file-details', {
+      'glob': {
+        sync: () => ['ok.txt'],
+      },
+      './get-file-size': () => 1234,
+      './get-file-hash': () => 'example-hash',
+      './get-file-integrity': (file, algorithm) => {
+        return `${algorithm}-${file}`;
+      },
+    });
+
+    getFileDetails('.', 'fake/glob/pattern/**/*')[0]
+      .should.not.have.property('integrity');
+
+    const files = getFileDetails('.', 'fake/glob/pattern/**/*', [], 'sha384');
+    files[0].integrity.should.equal('sha384-ok.txt');
+  });
 });
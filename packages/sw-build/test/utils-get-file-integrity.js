@@ -0,0 +1,47 @@
+const proxyquire = require('proxyquire');
+const errors = require('../src/lib/errors.js');
+
+require('chai').should();
+
+describe('src/lib/utils/get-file-integrity.js', function() {
+  const INJECTED_ERROR = new Error('Injected Error');
+
+  it('should handle readFileSync Error', function() {
+    const getFileIntegrity = proxyquire('../src/lib/utils/get-file-integrity', {
+      fs: {
+        readFileSync: () => {
+          throw INJECTED_ERROR;
+        },
+      },
+    });
+
+    let caughtError;
+    try {
+      getFileIntegrity(null, 'sha256');
+    } catch (err) {
+      caughtError = err;
+    }
+
+    if (caughtError.message.indexOf(
+      errors['unable-to-get-file-integrity']) !== 0) {
+      throw new Error('Unexpected error thrown. ' + caughtError.message);
+    }
+  });
+
+  it('should return an SRI value for a valid file', function() {
+    const getFileIntegrity = proxyquire('../src/lib/utils/get-file-integrity', {
+      fs: {
+        readFileSync: (file) => {
+          if (file === 'fake-file.txt') {
+            return Buffer.from('hello');
+          }
+          throw new Error(`Unexpected file name: ${file}`);
+        },
+      },
+    });
+
+    getFileIntegrity('fake-file.txt', 'sha256').should.equal(
+      'sha256-LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=');
+    getFileIntegrity('fake-file.txt', 'sha384').should.match(/^sha384-/);
+  });
+});
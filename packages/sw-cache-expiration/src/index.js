@@ -39,19 +39,31 @@
  *   handler: new goog.runtimeCaching.StaleWhileRevalidate({requestWrapper})
  * });
  *
- * @example <caption>To use the cache expiration as it's own module, you can
- * call the <code>expireEntries()</code> method to clean up the cache.</caption>
- * expirationPlugin.expireEntries({
- *   cacheName: 'example-cache-name'
+ * @example <caption>To use the cache expiration as it's own module, create
+ * a <code>CacheExpiration</code> and call its <code>expireEntries()</code>
+ * method to clean up the cache.</caption>
+ * const cacheExpiration = new goog.cacheExpiration.CacheExpiration({
+ *   cacheName: 'example-cache-name',
+ *   maxEntries: 10,
  * });
+ * cacheExpiration.expireEntries();
  *
  * @module sw-cache-expiration
  */
 
-import {timestampPropertyName, urlPropertyName} from './lib/constants';
+import {
+  lastAccessedPropertyName,
+  sizePropertyName,
+  timestampPropertyName,
+  urlPropertyName,
+} from './lib/constants';
+import CacheExpiration from './lib/cache-expiration';
 import Plugin from './lib/plugin';
 
 export {
+  CacheExpiration,
+  lastAccessedPropertyName,
+  sizePropertyName,
   timestampPropertyName,
   urlPropertyName,
   Plugin,
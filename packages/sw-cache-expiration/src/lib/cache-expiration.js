@@ -0,0 +1,676 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import idb from 'idb';
+import assert from '../../../../lib/assert';
+import {
+  idbName,
+  idbVersion,
+  urlPropertyName,
+  timestampPropertyName,
+  sizePropertyName,
+  lastAccessedPropertyName,
+  defaultOpaqueResponseSizeBytes,
+  expirationDelayMs,
+} from './constants';
+import ErrorFactory from './error-factory';
+
+/**
+ * Checks the expiration options shared by `CacheExpiration` and `Plugin`,
+ * throwing if any of them are invalid.
+ *
+ * @private
+ * @param {Object} input The options to check.
+ */
+export function validateOptions({maxEntries, maxAgeSeconds, maxSizeBytes,
+  opaqueResponseSizeBytes, lru} = {}) {
+  if (!(maxEntries || maxAgeSeconds || maxSizeBytes)) {
+    throw ErrorFactory.createError('max-entries-or-age-required');
+  }
+
+  if (maxEntries && typeof maxEntries !== 'number') {
+    throw ErrorFactory.createError('max-entries-must-be-number');
+  }
+
+  if (maxAgeSeconds && typeof maxAgeSeconds !== 'number') {
+    throw ErrorFactory.createError('max-age-seconds-must-be-number');
+  }
+
+  if (maxSizeBytes && typeof maxSizeBytes !== 'number') {
+    throw ErrorFactory.createError('max-size-bytes-must-be-number');
+  }
+
+  if (typeof opaqueResponseSizeBytes !== 'undefined' &&
+    typeof opaqueResponseSizeBytes !== 'number') {
+    throw ErrorFactory.createError(
+      'opaque-response-size-bytes-must-be-number');
+  }
+
+  if (typeof lru !== 'undefined' && typeof lru !== 'boolean') {
+    throw ErrorFactory.createError('lru-must-be-boolean');
+  }
+}
+
+/**
+ * Keeps track of when the entries in a cache were last updated, using
+ * IndexedDB, and removes the entries that are too old, or that push the cache
+ * over its configured limits.
+ *
+ * Unlike `Plugin`, which only expires entries when a response is written to
+ * the cache during fetch handling, a `CacheExpiration` instance can be used
+ * from anywhere in the service worker, like an `activate` handler.
+ *
+ * @example
+ * const cacheExpiration = new goog.cacheExpiration.CacheExpiration({
+ *   cacheName: 'runtime-cache',
+ *   maxEntries: 20,
+ * });
+ *
+ * self.addEventListener('activate', (event) => {
+ *   event.waitUntil(cacheExpiration.expireEntries());
+ * });
+ *
+ * @memberof module:sw-cache-expiration
+ */
+class CacheExpiration {
+  /**
+   * Creates a new `CacheExpiration` instance for a single cache.
+   *
+   * @param {Object} input
+   * @param {string} input.cacheName Name of the cache to expire entries from.
+   * @param {Number} [input.maxEntries] The maximum size of the cache. Entries
+   *        will be expired, oldest first, once the cache reaches this size.
+   * @param {Number} [input.maxAgeSeconds] The maximum age for fresh entries.
+   * @param {Number} [input.maxSizeBytes] The maximum total size of the
+   *        responses in the cache. Entries will be expired, oldest first,
+   *        until the cache is under this size.
+   * @param {Number} [input.opaqueResponseSizeBytes] The size that's assumed
+   *        for opaque responses when enforcing `maxSizeBytes`, since their
+   *        real size can't be read. Defaults to 1 MB.
+   * @param {boolean} [input.lru] If `true`, `maxEntries` and `maxSizeBytes`
+   *        expire the least recently used entries first, taking the times
+   *        recorded by [`updateLastAccessed`](#updateLastAccessed) into
+   *        account. Otherwise, the least recently written entries are expired
+   *        first. This is turned on once `updateLastAccessed` is called.
+   */
+  constructor({cacheName, maxEntries, maxAgeSeconds, maxSizeBytes,
+    opaqueResponseSizeBytes, lru} = {}) {
+    validateOptions({maxEntries, maxAgeSeconds, maxSizeBytes,
+      opaqueResponseSizeBytes, lru});
+    assert.isType({cacheName}, 'string');
+
+    this.cacheName = cacheName;
+    this.maxEntries = maxEntries;
+    this.maxAgeSeconds = maxAgeSeconds;
+    this.maxSizeBytes = maxSizeBytes;
+    this.opaqueResponseSizeBytes = typeof opaqueResponseSizeBytes === 'number' ?
+      opaqueResponseSizeBytes : defaultOpaqueResponseSizeBytes;
+    this.lru = lru || false;
+
+    // Timestamp updates are queued here and written in batches, with at most
+    // one batch being written at a time.
+    this._pendingTimestamps = new Map();
+    this._nextTimestampWrite = null;
+    this._lastTimestampWrite = Promise.resolve();
+
+    // Likewise, calls to expireEntries() made while an expiration pass is
+    // running, or waiting to start, share the single pass that's started once
+    // it's done.
+    this._nextExpiration = null;
+    this._lastExpiration = Promise.resolve();
+  }
+
+  /**
+   * Returns a promise for the IndexedDB database used to keep track of state.
+   *
+   * @private
+   * @return {DB} An open DB instance.
+   */
+  async getDB() {
+    if (!this._db) {
+      const cacheName = this.cacheName;
+      this._db = await idb.open(`${idbName}-${cacheName}`, idbVersion,
+        (upgradeDB) => {
+          const objectStore = upgradeDB.createObjectStore(cacheName,
+            {keyPath: urlPropertyName});
+          objectStore.createIndex(timestampPropertyName, timestampPropertyName,
+            {unique: false});
+        });
+    }
+
+    return this._db;
+  }
+
+  /**
+   * Returns a promise for the open Cache instance.
+   *
+   * @private
+   * @return {Cache} An open Cache instance.
+   */
+  async getCache() {
+    if (!this._cache) {
+      this._cache = await caches.open(this.cacheName);
+    }
+
+    return this._cache;
+  }
+
+  /**
+   * Determines the number of bytes a `Response` takes up, for the purposes of
+   * enforcing `maxSizeBytes`.
+   *
+   * The `Content-Length` header is used when it's present. Otherwise, the body
+   * of a clone of the response is read. Opaque responses can't be read, so
+   * `opaqueResponseSizeBytes` is used for them.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Response} input.response The response to measure.
+   * @return {Promise<Number>} The size of the response in bytes.
+   */
+  async getResponseSize({response} = {}) {
+    assert.isInstance({response}, Response);
+
+    if (response.type === 'opaque') {
+      return this.opaqueResponseSizeBytes;
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length'), 10);
+    if (!isNaN(contentLength)) {
+      return contentLength;
+    }
+
+    const blob = await response.clone().blob();
+    return blob.size;
+  }
+
+  /**
+   * Updates the timestamp stored in IndexedDB for `url` to be equal to `now`.
+   * This timestamp is the time the entry was written, and it's what
+   * `maxAgeSeconds` is measured from.
+   *
+   * Updates are batched: all of the updates made while a previous batch is
+   * being written are stored together, in a single transaction.
+   *
+   * @param {Object} input
+   * @param {string} input.url The URL for the entry to update.
+   * @param {Number} [input.now] A timestamp. Defaults to the current time.
+   * @param {Number} [input.size] The size of the entry in bytes. If omitted,
+   *        any size that's already stored for the entry is kept.
+   * @return {Promise} Resolves once the batch containing the update has been
+   *         written.
+   *
+   * @example
+   * cacheExpiration.updateTimestamp({
+   *   url: '/example-url'
+   * });
+   */
+  updateTimestamp({url, now, size} = {}) {
+    assert.isType({url}, 'string');
+
+    if (typeof now === 'undefined') {
+      now = Date.now();
+    }
+
+    const pendingEntry = this._pendingTimestamps.get(url) || {};
+    if (typeof size === 'undefined') {
+      size = pendingEntry.size;
+    }
+    this._pendingTimestamps.set(url, Object.assign({}, pendingEntry,
+      {timestamp: now, size}));
+
+    return this._scheduleTimestampWrite();
+  }
+
+  /**
+   * Records that the entry for `url` was read from the cache at `now`.
+   *
+   * The time an entry was last accessed is stored separately from the time it
+   * was written, so it doesn't affect `maxAgeSeconds`. When enforcing
+   * `maxEntries` and `maxSizeBytes`, entries are expired in the order they
+   * were last written or accessed, whichever is more recent.
+   *
+   * Nothing is recorded for URLs that don't have a timestamp stored yet.
+   *
+   * @param {Object} input
+   * @param {string} input.url The URL for the entry that was accessed.
+   * @param {Number} [input.now] A timestamp. Defaults to the current time.
+   * @return {Promise} Resolves once the batch containing the update has been
+   *         written.
+   *
+   * @example
+   * cacheExpiration.updateLastAccessed({
+   *   url: '/example-url'
+   * });
+   */
+  updateLastAccessed({url, now} = {}) {
+    assert.isType({url}, 'string');
+
+    if (typeof now === 'undefined') {
+      now = Date.now();
+    }
+
+    this.lru = true;
+    const pendingEntry = this._pendingTimestamps.get(url) || {};
+    this._pendingTimestamps.set(url, Object.assign({}, pendingEntry,
+      {lastAccessed: now}));
+
+    return this._scheduleTimestampWrite();
+  }
+
+  /**
+   * Makes sure a batch containing the pending updates will be written.
+   *
+   * @private
+   * @return {Promise} Resolves once the batch has been written.
+   */
+  _scheduleTimestampWrite() {
+    if (!this._nextTimestampWrite) {
+      this._nextTimestampWrite = this._lastTimestampWrite.then(() => {
+        const pendingTimestamps = this._pendingTimestamps;
+        this._pendingTimestamps = new Map();
+        this._nextTimestampWrite = null;
+        return this._writeTimestamps({pendingTimestamps});
+      });
+      // Failures are reported to the callers of updateTimestamp() and
+      // updateLastAccessed(), and shouldn't prevent the next batch from being
+      // written.
+      this._lastTimestampWrite = this._nextTimestampWrite.catch(() => {});
+    }
+
+    return this._nextTimestampWrite;
+  }
+
+  /**
+   * Writes a batch of timestamp updates to IndexedDB in a single transaction.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Map} input.pendingTimestamps A map of URLs to
+   *        `{timestamp, size, lastAccessed}`, any of which may be undefined.
+   * @return {Promise} Resolves once the transaction has completed.
+   */
+  async _writeTimestamps({pendingTimestamps} = {}) {
+    const db = await this.getDB();
+    const tx = db.transaction(this.cacheName, 'readwrite');
+    const store = tx.objectStore(this.cacheName);
+
+    pendingTimestamps.forEach(({timestamp, size, lastAccessed}, url) => {
+      // The existing entry is updated from within the cursor's success
+      // callback, which is the only place the transaction is guaranteed to
+      // still be active.
+      store.iterateCursor(url, (cursor) => {
+        if (!cursor && typeof timestamp === 'undefined') {
+          return;
+        }
+
+        const entry = cursor ? cursor.value : {[urlPropertyName]: url};
+        if (typeof timestamp !== 'undefined') {
+          entry[timestampPropertyName] = timestamp;
+        }
+        if (typeof size !== 'undefined') {
+          entry[sizePropertyName] = size;
+        }
+        if (typeof lastAccessed !== 'undefined') {
+          entry[lastAccessedPropertyName] = lastAccessed;
+        }
+
+        if (cursor) {
+          cursor.update(entry);
+        } else {
+          // A failed write aborts the transaction, so the error is reported
+          // through tx.complete.
+          store.put(entry).catch(() => {});
+        }
+      });
+    });
+
+    return tx.complete;
+  }
+
+  /**
+   * Returns the timestamp stored in IndexedDB for `url`.
+   *
+   * @private
+   * @param {Object} input
+   * @param {string} input.url The URL for the entry.
+   * @return {Promise<Number|undefined>} The timestamp, or `undefined` if
+   *         there's no entry for `url`.
+   */
+  async getTimestamp({url} = {}) {
+    assert.isType({url}, 'string');
+
+    const pendingEntry = this._pendingTimestamps.get(url);
+    if (pendingEntry && typeof pendingEntry.timestamp !== 'undefined') {
+      return pendingEntry.timestamp;
+    }
+
+    await this._lastTimestampWrite;
+    const db = await this.getDB();
+    const tx = db.transaction(this.cacheName, 'readonly');
+    const entry = await tx.objectStore(this.cacheName).get(url);
+    await tx.complete;
+
+    return entry ? entry[timestampPropertyName] : undefined;
+  }
+
+  /**
+   * Checks whether the entry for `url` is older than `maxAgeSeconds`, based on
+   * the timestamp stored in IndexedDB.
+   *
+   * If `maxAgeSeconds` isn't set, or there's no timestamp stored for `url`,
+   * the entry isn't considered expired.
+   *
+   * @param {Object} input
+   * @param {string} input.url The URL for the entry to check.
+   * @param {Number} [input.now] A timestamp. Defaults to the current time.
+   * @return {Promise<boolean>} `true` if the entry is expired.
+   *
+   * @example
+   * cacheExpiration.isURLExpired({url: '/example-url'})
+   * .then((isExpired) => {
+   *   ...
+   * });
+   */
+  async isURLExpired({url, now} = {}) {
+    assert.isType({url}, 'string');
+
+    if (!this.maxAgeSeconds) {
+      return false;
+    }
+
+    if (typeof now === 'undefined') {
+      now = Date.now();
+    }
+
+    const timestamp = await this.getTimestamp({url});
+    return typeof timestamp === 'number' &&
+      timestamp < now - (this.maxAgeSeconds * 1000);
+  }
+
+  /**
+   * Expires entries, based on the maximum age, the maximum number of entries
+   * and the maximum total size, depending on how this instance is configured.
+   *
+   * Only one expiration pass runs at a time. Calls made while a pass is
+   * running share the next pass, which starts once the current one and any
+   * pending timestamp updates have finished. Each pass is also delayed
+   * slightly, so that calls made in quick succession, like the ones made by
+   * `Plugin` as a page fills a cache, share it.
+   *
+   * @param {Object} input
+   * @param {Number} [input.now] A timestamp. Defaults to the current time.
+   *        When several calls share a pass, only the `now` passed to the
+   *        latest of them is used.
+   * @return {Promise<Array<string>>} A list of the URLs that were expired,
+   *         resolved once they've been removed from both IndexedDB and the
+   *         cache.
+   *
+   * @example
+   * cacheExpiration.expireEntries();
+   */
+  expireEntries({now} = {}) {
+    this._expirationNow = now;
+
+    if (!this._nextExpiration) {
+      this._nextExpiration = Promise.all([
+        this._lastExpiration,
+        new Promise((resolve) => setTimeout(resolve, expirationDelayMs)),
+      ]).then(() => {
+        // This includes any timestamp updates made during the delay.
+        return this._lastTimestampWrite;
+      }).then(() => {
+        const expirationNow = typeof this._expirationNow === 'undefined' ?
+          Date.now() : this._expirationNow;
+        this._expirationNow = undefined;
+        this._nextExpiration = null;
+        return this._runExpiration({now: expirationNow});
+      });
+      this._lastExpiration = this._nextExpiration.catch(() => {});
+    }
+
+    return this._nextExpiration;
+  }
+
+  /**
+   * Performs a single expiration pass. The expired entries are found and
+   * removed from IndexedDB, and the corresponding cache entries are then
+   * deleted.
+   *
+   * Enforcing `maxSizeBytes`, or `maxEntries` in lru mode, requires reading
+   * every entry. Otherwise, only the expired entries are read.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Number} input.now A timestamp.
+   * @return {Promise<Array<string>>} A list of the URLs that were expired.
+   */
+  async _runExpiration({now} = {}) {
+    const urls = this.maxSizeBytes || (this.lru && this.maxEntries) ?
+      await this._deleteExpiredEntries({now}) :
+      await this._deleteOldestEntries({now});
+
+    const cache = await this.getCache();
+    await Promise.all(urls.map((url) => cache.delete(url)));
+
+    return urls;
+  }
+
+  /**
+   * Reads every entry from IndexedDB, and deletes the ones that are expired.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Number} input.now A timestamp.
+   * @return {Promise<Array<string>>} A list of the URLs that were expired.
+   */
+  async _deleteExpiredEntries({now} = {}) {
+    const db = await this.getDB();
+    const tx = db.transaction(this.cacheName, 'readwrite');
+    const store = tx.objectStore(this.cacheName);
+    const entries = [];
+    let urls = [];
+
+    store.index(timestampPropertyName).iterateCursor((cursor) => {
+      if (cursor) {
+        entries.push(cursor.value);
+        cursor.continue();
+        return;
+      }
+
+      // All the entries have been read, and the transaction is still active,
+      // so the expired ones can be deleted as part of it. As in
+      // _writeTimestamps(), failures are reported through tx.complete.
+      urls = this._selectExpiredUrls({entries, now});
+      urls.forEach((url) => store.delete(url).catch(() => {}));
+    });
+
+    await tx.complete;
+    return urls;
+  }
+
+  /**
+   * Deletes the entries that are older than `maxAgeSeconds`, and the oldest
+   * entries beyond `maxEntries`, from IndexedDB. Both are the first entries
+   * in the timestamp index, so it's only read until they've been deleted.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Number} input.now A timestamp.
+   * @return {Promise<Array<string>>} A list of the URLs that were expired.
+   */
+  async _deleteOldestEntries({now} = {}) {
+    const db = await this.getDB();
+    let extraEntryCount = 0;
+    if (this.maxEntries) {
+      const tx = db.transaction(this.cacheName, 'readonly');
+      const entryCount = await tx.objectStore(this.cacheName).count();
+      extraEntryCount = Math.max(entryCount - this.maxEntries, 0);
+    }
+
+    if (!extraEntryCount && !this.maxAgeSeconds) {
+      return [];
+    }
+
+    const expireOlderThan = this.maxAgeSeconds ?
+      now - (this.maxAgeSeconds * 1000) : -Infinity;
+
+    // Unless there are extra entries, only the old entries need to be read.
+    const query = extraEntryCount ?
+      undefined : IDBKeyRange.upperBound(expireOlderThan, true);
+    const tx = db.transaction(this.cacheName, 'readwrite');
+    const urls = [];
+
+    tx.objectStore(this.cacheName).index(timestampPropertyName)
+      .iterateCursor(query, (cursor) => {
+        if (cursor && (urls.length < extraEntryCount ||
+          cursor.key < expireOlderThan)) {
+          urls.push(cursor.primaryKey);
+          // As in _writeTimestamps(), failures are reported through
+          // tx.complete.
+          cursor.delete();
+          cursor.continue();
+        }
+      });
+
+    await tx.complete;
+    return urls;
+  }
+
+  /**
+   * Works out which of the entries should be expired, based on the maximum
+   * age, the maximum number of entries and the maximum total size.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Array<Object>} input.entries The entries, oldest first.
+   * @param {Number} input.now A timestamp.
+   * @return {Array<string>} A list of the URLs that should be expired.
+   */
+  _selectExpiredUrls({entries, now}) {
+    // In lru mode, maxEntries and maxSizeBytes expire the least recently used
+    // entries first, which aren't necessarily the oldest ones if entries have
+    // been accessed since they were written. The sort is stable, so entries
+    // that were never accessed stay in the order they were written.
+    const lastUsed = (entry) => Math.max(entry[timestampPropertyName],
+      entry[lastAccessedPropertyName] || 0);
+    const entriesByUse = this.lru ?
+      entries.slice().sort((a, b) => lastUsed(a) - lastUsed(b)) : entries;
+
+    // First, expire old entries, if maxAgeSeconds is set. Once that's done,
+    // check for the maximum number of entries. A Set removes any duplicates.
+    const urls = new Set([
+      ...(this.maxAgeSeconds ? this._selectOldEntries({entries, now}) : []),
+      ...(this.maxEntries ?
+        this._selectExtraEntries({entries: entriesByUse}) : []),
+    ]);
+
+    // Finally, check for the maximum total size, without counting the entries
+    // that are already going to be deleted.
+    if (this.maxSizeBytes) {
+      this._selectOversizedEntries({entries: entriesByUse, ignoredUrls: urls})
+        .forEach((url) => urls.add(url));
+    }
+
+    return [...urls];
+  }
+
+  /**
+   * Selects the entries that are older than `maxAgeSeconds`.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Array<Object>} input.entries The entries, oldest first.
+   * @param {Number} input.now A timestamp.
+   * @return {Array<string>} The URLs of entries older than `maxAgeSeconds`.
+   */
+  _selectOldEntries({entries, now}) {
+    const expireOlderThan = now - (this.maxAgeSeconds * 1000);
+    return entries
+      .filter((entry) => entry[timestampPropertyName] < expireOlderThan)
+      .map((entry) => entry[urlPropertyName]);
+  }
+
+  /**
+   * Selects the least recently used entries, beyond the number allowed by
+   * `maxEntries`.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Array<Object>} input.entries The entries, least recently used
+   *        first.
+   * @return {Array<string>} The URLs of the least recently used entries
+   *         beyond `maxEntries`.
+   */
+  _selectExtraEntries({entries}) {
+    return entries
+      .slice(0, Math.max(entries.length - this.maxEntries, 0))
+      .map((entry) => entry[urlPropertyName]);
+  }
+
+  /**
+   * Selects the least recently used entries that need to be removed for the
+   * total size of the remaining ones to be no more than `maxSizeBytes`.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Array<Object>} input.entries The entries, least recently used
+   *        first.
+   * @param {Set<string>} input.ignoredUrls URLs that are already going to be
+   *        expired, and which shouldn't count towards the total size.
+   * @return {Array<string>} The URLs of the least recently used entries that
+   *         need to be removed to get under `maxSizeBytes`.
+   */
+  _selectOversizedEntries({entries, ignoredUrls}) {
+    const remainingEntries = entries.filter(
+      (entry) => !ignoredUrls.has(entry[urlPropertyName]));
+    let totalSize = remainingEntries.reduce(
+      (total, entry) => total + (entry[sizePropertyName] || 0), 0);
+    const urls = [];
+    for (let entry of remainingEntries) {
+      if (totalSize <= this.maxSizeBytes) {
+        break;
+      }
+      urls.push(entry[urlPropertyName]);
+      totalSize -= entry[sizePropertyName] || 0;
+    }
+
+    return urls;
+  }
+
+  /**
+   * Removes every entry from both the cache and IndexedDB. The cache itself
+   * isn't deleted, so that open references to it stay valid.
+   *
+   * @return {Promise} Resolves once all of the entries have been removed.
+   *
+   * @example
+   * cacheExpiration.purge();
+   */
+  async purge() {
+    await this._lastTimestampWrite;
+
+    const cache = await this.getCache();
+    const requests = await cache.keys();
+    await Promise.all(requests.map((request) => cache.delete(request)));
+
+    const db = await this.getDB();
+    const tx = db.transaction(this.cacheName, 'readwrite');
+    tx.objectStore(this.cacheName).clear();
+    return tx.complete;
+  }
+}
+
+export default CacheExpiration;
@@ -17,3 +17,7 @@ export const idbName = `sw-cache-expiration-${self.registration.scope}`;
 export const idbVersion = 1;
 export const urlPropertyName = 'url';
 export const timestampPropertyName = 'timestamp';
+export const sizePropertyName = 'size';
+export const lastAccessedPropertyName = 'lastAccessed';
+export const defaultOpaqueResponseSizeBytes = 1024 * 1024;
+export const expirationDelayMs = 100;
@@ -16,12 +16,25 @@
 import ErrorFactory from '../../../../lib/error-factory';
 
 const errors = {
-  'max-entries-or-age-required': `Either the maxEntries or maxAgeSeconds
-    parameters (or both) are required when constructing Plugin.`,
-  'max-entries-must-be-number': `The maxEntries parameter to the Plugin
-    constructor must either be a number or undefined.`,
-  'max-age-seconds-must-be-number': `The maxAgeSeconds parameter to the Plugin
-    constructor must either be a number or undefined.`,
+  'max-entries-or-age-required': `At least one of the maxEntries,
+    maxAgeSeconds or maxSizeBytes parameters is required when constructing
+    Plugin or CacheExpiration.`,
+  'max-entries-must-be-number': `The maxEntries parameter to the Plugin or
+    CacheExpiration constructor must either be a number or undefined.`,
+  'max-age-seconds-must-be-number': `The maxAgeSeconds parameter to the
+    Plugin or CacheExpiration constructor must either be a number or
+    undefined.`,
+  'max-size-bytes-must-be-number': `The maxSizeBytes parameter to the Plugin
+    or CacheExpiration constructor must either be a number or undefined.`,
+  'opaque-response-size-bytes-must-be-number': `The opaqueResponseSizeBytes
+    parameter to the Plugin or CacheExpiration constructor must either be a
+    number or undefined.`,
+  'honor-cache-control-must-be-boolean': `The honorCacheControl parameter to
+    the Plugin constructor must either be a boolean or undefined.`,
+  'purge-on-quota-error-must-be-boolean': `The purgeOnQuotaError parameter
+    to the Plugin constructor must either be a boolean or undefined.`,
+  'lru-must-be-boolean': `The lru parameter to the Plugin constructor must
+    either be a boolean or undefined.`,
 };
 
 export default new ErrorFactory(errors);
@@ -13,20 +13,20 @@
  limitations under the License.
 */
 
-import idb from 'idb';
 import assert from '../../../../lib/assert';
-import {
-  idbName,
-  idbVersion,
-  urlPropertyName,
-  timestampPropertyName,
-} from './constants';
+import CacheExpiration, {validateOptions} from './cache-expiration';
 import ErrorFactory from './error-factory';
+import {
+  registerQuotaErrorCallback,
+} from '../../../../lib/quota-error-callbacks';
 
 /**
  * The cache expiration plugin allows you define an expiration and / or
  * limit on the responses cached.
  *
+ * Expiration for each cache is delegated to a
+ * {@link module:sw-cache-expiration.CacheExpiration|CacheExpiration} instance.
+ *
  * @example
  * const expirationPlugin = new goog.cacheExpiration.Plugin({
  *   maxEntries: 2,
@@ -39,76 +39,114 @@ class Plugin {
   /**
    * Creates a new `Plugin` instance, which is used to remove entries from a
    * [`Cache`](https://developer.mozilla.org/en-US/docs/Web/API/Cache) once
-   * certain criteria—maximum number of entries, age of entry, or both—is met.
+   * certain criteria—maximum number of entries, age of entry, total size of
+   * the entries, or a combination of these—is met.
    *
    * @param {Object} input
    * @param {Number} [input.maxEntries] The maximum size of the cache. Entries
-   *        will be expired using a LRU policy once the cache reaches this size.
+   *        will be expired, oldest first, once the cache reaches this size.
    * @param {Number} [input.maxAgeSeconds] The maximum age for fresh entries.
+   * @param {Number} [input.maxSizeBytes] The maximum total size of the
+   *        responses in the cache. Entries will be expired, oldest first,
+   *        until the cache is under this size.
+   * @param {Number} [input.opaqueResponseSizeBytes] The size that's assumed
+   *        for opaque responses when enforcing `maxSizeBytes`, since their
+   *        real size can't be read. Defaults to 1 MB.
+   * @param {boolean} [input.lru] If `true`, the time an entry is read from
+   *        the cache is recorded, so that `maxEntries` and `maxSizeBytes`
+   *        expire the least recently used entries instead of the least
+   *        recently written ones. Reading an entry doesn't change its age, as
+   *        far as `maxAgeSeconds` is concerned.
+   * @param {boolean} [input.honorCacheControl] If `true`, cached responses
+   *        are also treated as stale once their `Cache-Control: max-age` or
+   *        `Expires` headers say so.
+   * @param {boolean} [input.purgeOnQuotaError] If `true`, all of the entries
+   *        in the caches this plugin has been used with, and in the cache
+   *        being written to, are removed when a cache write fails because the
+   *        storage quota has been exceeded. The write is then retried once.
    */
-  constructor({maxEntries, maxAgeSeconds} = {}) {
-    if (!(maxEntries || maxAgeSeconds)) {
-      throw ErrorFactory.createError('max-entries-or-age-required');
-    }
-
-    if (maxEntries && typeof maxEntries !== 'number') {
-      throw ErrorFactory.createError('max-entries-must-be-number');
+  constructor({maxEntries, maxAgeSeconds, maxSizeBytes, opaqueResponseSizeBytes,
+    lru, honorCacheControl, purgeOnQuotaError} = {}) {
+    validateOptions({maxEntries, maxAgeSeconds, maxSizeBytes,
+      opaqueResponseSizeBytes, lru});
+
+    if (typeof honorCacheControl !== 'undefined' &&
+      typeof honorCacheControl !== 'boolean') {
+      throw ErrorFactory.createError('honor-cache-control-must-be-boolean');
     }
 
-    if (maxAgeSeconds && typeof maxAgeSeconds !== 'number') {
-      throw ErrorFactory.createError('max-age-seconds-must-be-number');
+    if (typeof purgeOnQuotaError !== 'undefined' &&
+      typeof purgeOnQuotaError !== 'boolean') {
+      throw ErrorFactory.createError('purge-on-quota-error-must-be-boolean');
     }
 
     this.maxEntries = maxEntries;
     this.maxAgeSeconds = maxAgeSeconds;
+    this.maxSizeBytes = maxSizeBytes;
+    this.opaqueResponseSizeBytes = opaqueResponseSizeBytes;
+    this.lru = lru || false;
+    this.honorCacheControl = honorCacheControl || false;
+
+    // Keeps track of the CacheExpiration instance used for each cache name.
+    this._cacheExpirations = new Map();
 
-    // These are used to keep track of open IndexDB and Caches for a given name.
-    this._dbs = new Map();
-    this._caches = new Map();
+    this.purgeOnQuotaError = purgeOnQuotaError || false;
+    if (this.purgeOnQuotaError) {
+      registerQuotaErrorCallback((input) => this.purgeCaches(input));
+    }
   }
 
   /**
-   * Returns a promise for the IndexedDB database used to keep track of state.
+   * Removes all of the entries from every cache this plugin has been used
+   * with. This is called automatically when a cache write exceeds the storage
+   * quota, if `purgeOnQuotaError` is set, with the name of the cache being
+   * written to. That cache is purged as well, since the plugin may not have
+   * been used with it yet since the service worker started.
    *
-   * @private
-   * @param {Object} input
-   * @param {string} input.cacheName Name of the cache the Responses belong to.
-   * @return {DB} An open DB instance.
+   * @param {Object} [input]
+   * @param {string} [input.cacheName] The name of another cache to purge.
+   * @return {Promise} Resolves once the caches have been purged.
+   *
+   * @example
+   * expirationPlugin.purgeCaches();
    */
-  async getDB({cacheName} = {}) {
-    assert.isType({cacheName}, 'string');
-
-    const idbId = `${idbName}-${cacheName}`;
-    if (!this._dbs.has(idbId)) {
-      const openDb = await idb.open(idbId, idbVersion, (upgradeDB) => {
-        const objectStore = upgradeDB.createObjectStore(cacheName,
-          {keyPath: urlPropertyName});
-        objectStore.createIndex(timestampPropertyName, timestampPropertyName,
-          {unique: false});
-      });
-      this._dbs.set(idbId, openDb);
+  purgeCaches({cacheName} = {}) {
+    if (cacheName) {
+      this.getCacheExpiration({cacheName});
     }
 
-    return this._dbs.get(idbId);
+    return Promise.all([...this._cacheExpirations.values()]
+      .map((cacheExpiration) => cacheExpiration.purge()));
   }
 
   /**
-   * Returns a promise for an open Cache instance named `cacheName`.
+   * Returns the `CacheExpiration` instance for a cache, creating it with this
+   * plugin's configuration if it doesn't exist yet.
    *
-   * @private
    * @param {Object} input
    * @param {string} input.cacheName Name of the cache the Responses belong to.
-   * @return {Cache} An open Cache instance.
+   * @return {CacheExpiration} The instance used to expire entries in the
+   *         cache.
+   *
+   * @example
+   * expirationPlugin.getCacheExpiration({cacheName: 'example-cache-name'})
+   * .expireEntries();
    */
-  async getCache({cacheName} = {}) {
+  getCacheExpiration({cacheName} = {}) {
     assert.isType({cacheName}, 'string');
 
-    if (!this._caches.has(cacheName)) {
-      const openCache = await caches.open(cacheName);
-      this._caches.set(cacheName, openCache);
+    if (!this._cacheExpirations.has(cacheName)) {
+      this._cacheExpirations.set(cacheName, new CacheExpiration({
+        cacheName,
+        maxEntries: this.maxEntries,
+        maxAgeSeconds: this.maxAgeSeconds,
+        maxSizeBytes: this.maxSizeBytes,
+        opaqueResponseSizeBytes: this.opaqueResponseSizeBytes,
+        lru: this.lru,
+      }));
     }
 
-    return this._caches.get(cacheName);
+    return this._cacheExpirations.get(cacheName);
   }
 
   /**
@@ -116,8 +154,12 @@ class Plugin {
    * `goog.runtimeCaching` handlers when a `Response` is about to be returned
    * from a [Cache](https://developer.mozilla.org/en-US/docs/Web/API/Cache) to
    * the handler. It allows the `Response` to be inspected for freshness and
-   * prevents it from being used if the `Response`'s `Date` header value is
-   * older than the configured `maxAgeSeconds`.
+   * prevents it from being used if it's no longer fresh, as determined by
+   * [`isResponseFresh`](#isResponseFresh).
+   *
+   * When `lru` is enabled, a fresh `Response` is marked as recently used.
+   * This is recorded in the background, so it doesn't delay the `Response`
+   * being returned.
    *
    * Developers who are not using `goog.runtimeCaching` would normally not call
    * this method directly; instead, use [`isResponseFresh`](#isResponseFresh)
@@ -125,65 +167,184 @@ class Plugin {
    *
    * @private
    * @param {Object} input
+   * @param {string} [input.cacheName] Name of the cache the response was read
+   *        from. Required for the stored timestamp to be used.
+   * @param {Request|string} [input.request] The request the response is for.
+   * @param {Request|string} [input.cacheKey] The key the response was read
+   *        from the cache with. Defaults to `request`.
    * @param {Response} input.cachedResponse The `Response` object that's been
    *        read from a cache and whose freshness should be checked.
    * @param {Number} [input.now] A timestamp. Defaults to the current time.
-   * @return {Response|null} Either the `cachedResponse`, if it's fresh, or
-   *          `null` if the `Response` is older than `maxAgeSeconds`.
+   * @return {Promise<Response|null>} Either the `cachedResponse`, if it's
+   *          fresh, or `null` if it isn't.
    */
-  cacheWillMatch({cachedResponse, now} = {}) {
-    if (this.isResponseFresh({cachedResponse, now})) {
-      return cachedResponse;
+  async cacheWillMatch({cacheName, request, cacheKey, cachedResponse, now} =
+    {}) {
+    request = cacheKey || request;
+    if (!(await this.isResponseFresh(
+      {cacheName, request, cachedResponse, now}))) {
+      return null;
     }
 
-    return null;
+    if (this.lru && cacheName && request && cachedResponse) {
+      // A failure to record the access shouldn't prevent the response from
+      // being used.
+      this.getCacheExpiration({cacheName})
+        .updateLastAccessed({now, url: this._getUrl({request})})
+        .catch(() => {});
+    }
+
+    return cachedResponse;
   }
 
   /**
-   * Checks whether a `Response` is fresh, based on the `Response`'s
-   * `Date` header and the configured `maxAgeSeconds`.
+   * Checks whether a `Response` is fresh, based on the configured
+   * `maxAgeSeconds`.
+   *
+   * The age of the `Response` is determined by the timestamp that was stored
+   * in IndexedDB when it was cached. If there's no stored timestamp, the
+   * `Response`'s `Date` header is used instead. If `maxAgeSeconds` isn't set,
+   * or neither is available, the `Response` is treated as fresh.
    *
-   * If `maxAgeSeconds` or the `Date` header is not set then it will
-   * default to returning `true`.
+   * If the plugin was constructed with `honorCacheControl`, a `Response` is
+   * also treated as stale once its `Cache-Control: max-age` or `Expires`
+   * header says so.
    *
    * @param {Object} input
+   * @param {string} [input.cacheName] Name of the cache the response was read
+   *        from. Required for the stored timestamp to be used.
+   * @param {Request|string} [input.request] The key the response was read
+   *        from the cache with. Required for the stored timestamp to be used.
    * @param {Response} input.cachedResponse The `Response` object that's been
    *        read from a cache and whose freshness should be checked.
    * @param {Number} [input.now] A timestamp. Defaults to the current time.
-   * @return {boolean} Either the `true`, if it's fresh, or `false` if the
-   *          `Response` is older than `maxAgeSeconds`.
+   * @return {Promise<boolean>} Either `true`, if it's fresh, or `false` if
+   *          it isn't.
    *
    * @example
    * expirationPlugin.isResponseFresh({
+   *   cacheName: 'example-cache-name',
+   *   request: '/example-url',
    *   cachedResponse: responseFromCache
+   * }).then((isFresh) => {
+   *   ...
    * });
    */
-  isResponseFresh({cachedResponse, now} = {}) {
+  async isResponseFresh({cacheName, request, cachedResponse, now} = {}) {
     // Only bother checking for freshness if we have a valid response and if
-    // maxAgeSeconds is set. Otherwise, skip the check and always return true.
-    if (cachedResponse && this.maxAgeSeconds) {
-      assert.isInstance({cachedResponse}, Response);
-
-      const dateHeader = cachedResponse.headers.get('date');
-      if (dateHeader) {
-        if (typeof now === 'undefined') {
-          now = Date.now();
-        }
-
-        const parsedDate = new Date(dateHeader);
-        // If the Date header was invalid for some reason, parsedDate.getTime()
-        // will return NaN, and the comparison will always be false. That means
-        // that an invalid date will be treated as if the response is fresh.
-        if ((parsedDate.getTime() + (this.maxAgeSeconds * 1000)) < now) {
-          // Only return false if all the conditions are met.
-          return false;
-        }
+    // there's something to check it against. Otherwise, always return true.
+    if (!cachedResponse || !(this.maxAgeSeconds || this.honorCacheControl)) {
+      return true;
+    }
+
+    assert.isInstance({cachedResponse}, Response);
+
+    if (typeof now === 'undefined') {
+      now = Date.now();
+    }
+
+    const cachedTime = await this._getCachedTime(
+      {cacheName, request, cachedResponse});
+    // If the Date header was invalid for some reason, cachedTime is NaN, and
+    // the comparisons below will always be false. That means that an invalid
+    // date will be treated as if the response is fresh.
+    if (typeof cachedTime === 'undefined') {
+      return true;
+    }
+
+    if (this.maxAgeSeconds &&
+      (cachedTime + (this.maxAgeSeconds * 1000)) < now) {
+      return false;
+    }
+
+    if (this.honorCacheControl) {
+      const expiresAt = this._getHeaderExpiration({cachedResponse, cachedTime});
+      if (expiresAt < now) {
+        return false;
       }
     }
 
     return true;
   }
 
+  /**
+   * Returns the time at which a `Response` was cached, preferring the
+   * timestamp stored in IndexedDB over the `Response`'s `Date` header.
+   *
+   * @private
+   * @param {Object} input
+   * @param {string} [input.cacheName] Name of the cache the response was read
+   *        from.
+   * @param {Request|string} [input.request] The key the response was read
+   *        from the cache with.
+   * @param {Response} input.cachedResponse The cached `Response`.
+   * @return {Promise<Number|undefined>} The time, or `undefined` if it can't
+   *         be determined.
+   */
+  async _getCachedTime({cacheName, request, cachedResponse}) {
+    if (cacheName && request) {
+      const timestamp = await this.getCacheExpiration({cacheName})
+        .getTimestamp({url: this._getUrl({request})});
+      if (typeof timestamp === 'number') {
+        return timestamp;
+      }
+    }
+
+    const dateHeader = cachedResponse.headers.get('date');
+    if (dateHeader) {
+      return new Date(dateHeader).getTime();
+    }
+  }
+
+  /**
+   * Returns the URL that entries are stored under in IndexedDB for a cache
+   * key. This is the absolute URL the key has in the cache, which, unlike
+   * `Response.url`, is never empty, even for opaque responses.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Request|string} input.request The cache key.
+   * @return {string} The absolute URL of the cache key.
+   */
+  _getUrl({request}) {
+    return typeof request === 'string' ?
+      new URL(request, self.location).href : request.url;
+  }
+
+  /**
+   * Works out when a `Response` expires according to its `Cache-Control:
+   * max-age` or, failing that, its `Expires` header. Both are measured from
+   * `cachedTime`, so that a difference between the server's clock and the
+   * local clock doesn't affect the result.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Response} input.cachedResponse The cached `Response`.
+   * @param {Number} input.cachedTime The time the `Response` was cached.
+   * @return {Number} The time the `Response` expires, or `Infinity` if its
+   *         headers don't say.
+   */
+  _getHeaderExpiration({cachedResponse, cachedTime}) {
+    const cacheControl = cachedResponse.headers.get('cache-control') || '';
+    const maxAgeMatch = /(?:^|,)\s*max-age\s*=\s*(\d+)/i.exec(cacheControl);
+    if (maxAgeMatch) {
+      return cachedTime + (parseInt(maxAgeMatch[1], 10) * 1000);
+    }
+
+    const expiresHeader = cachedResponse.headers.get('expires');
+    if (expiresHeader) {
+      const expires = new Date(expiresHeader).getTime();
+      const date = new Date(cachedResponse.headers.get('date')).getTime();
+      // An invalid Expires header, like "0", means the response has expired.
+      if (isNaN(expires)) {
+        return -Infinity;
+      }
+      return isNaN(date) ? expires : cachedTime + (expires - date);
+    }
+
+    return Infinity;
+  }
+
   /**
    * A "lifecycle" callback that will be triggered automatically by the
    * `goog.runtimeCaching` handlers when an entry is added to a cache.
@@ -195,20 +356,31 @@ class Plugin {
    * @private
    * @param {Object} input
    * @param {string} input.cacheName Name of the cache the responses belong to.
+   * @param {Request|string} input.request The key the new value was written
+   *        to the cache with.
    * @param {Response} input.newResponse The new value in the cache.
    * @param {Number} [input.now] A timestamp. Defaults to the current time.
+   * @return {Promise<Array<string>>} Resolves with the URLs that were expired
+   *         once the expiration pass has finished.
    */
-  cacheDidUpdate({cacheName, newResponse, now} = {}) {
+  cacheDidUpdate({cacheName, request, newResponse, now} = {}) {
     assert.isType({cacheName}, 'string');
+    assert.atLeastOne({request});
     assert.isInstance({newResponse}, Response);
 
     if (typeof now === 'undefined') {
       now = Date.now();
     }
 
-    this.updateTimestamp({cacheName, now, url: newResponse.url}).then(() => {
-      this.expireEntries({cacheName, now});
-    });
+    const cacheExpiration = this.getCacheExpiration({cacheName});
+    const sizePromise = this.maxSizeBytes ?
+      cacheExpiration.getResponseSize({response: newResponse}) :
+      Promise.resolve();
+
+    return sizePromise.then((size) => {
+      return cacheExpiration.updateTimestamp({now, size,
+        url: this._getUrl({request})});
+    }).then(() => cacheExpiration.expireEntries({now}));
   }
 
   /**
@@ -218,6 +390,9 @@ class Plugin {
    * @param {string} input.cacheName Name of the cache the Responses belong to.
    * @param {string} input.url The URL for the entry to update.
    * @param {Number} [input.now] A timestamp. Defaults to the current time.
+   * @param {Number} [input.size] The size of the entry in bytes. If omitted,
+   *        any size that's already stored for the entry is kept.
+   * @return {Promise} Resolves once the timestamp has been stored.
    *
    * @example
    * expirationPlugin.updateTimestamp({
@@ -225,169 +400,27 @@ class Plugin {
    *   url: '/example-url'
    * });
    */
-  async updateTimestamp({cacheName, url, now} = {}) {
-    assert.isType({url}, 'string');
-    assert.isType({cacheName}, 'string');
-
-    if (typeof now === 'undefined') {
-      now = Date.now();
-    }
-
-    const db = await this.getDB({cacheName});
-    const tx = db.transaction(cacheName, 'readwrite');
-    tx.objectStore(cacheName).put({
-      [timestampPropertyName]: now,
-      [urlPropertyName]: url,
-    });
-
-    await tx.complete;
+  updateTimestamp({cacheName, url, now, size} = {}) {
+    return this.getCacheExpiration({cacheName})
+      .updateTimestamp({url, now, size});
   }
 
   /**
-   * Expires entries, both based on the the maximum age and the maximum number
-   * of entries, depending on how this instance is configured.
+   * Expires entries, based on the maximum age, the maximum number of entries
+   * and the maximum total size, depending on how this instance is configured.
    *
    * @param {Object} input
    * @param {string} input.cacheName Name of the cache the Responses belong to.
    * @param {Number} [input.now] A timestamp. Defaults to the current time.
-   * @return {Array<string>} A list of the URLs that were expired.
+   * @return {Promise<Array<string>>} A list of the URLs that were expired.
    *
    * @example
    * expirationPlugin.expireEntries({
    *   cacheName: 'example-cache-name'
    * });
    */
-  async expireEntries({cacheName, now} = {}) {
-    assert.isType({cacheName}, 'string');
-
-    if (typeof now === 'undefined') {
-      now = Date.now();
-    }
-
-    // First, expire old entries, if maxAgeSeconds is set.
-    const oldEntries = this.maxAgeSeconds ?
-      await this.findOldEntries({cacheName, now}) :
-      [];
-
-    // Once that's done, check for the maximum size.
-    const extraEntries = this.maxEntries ?
-      await this.findExtraEntries({cacheName}) :
-      [];
-
-    // Use a Set to remove any duplicates following the concatenation, then
-    // convert back into an array.
-    const urls = [...new Set(oldEntries.concat(extraEntries))];
-    await this.deleteFromCacheAndIDB({cacheName, urls});
-
-    return urls;
-  }
-
-  /**
-   * Expires entries based on the the maximum age.
-   *
-   * @private
-   * @param {Object} input
-   * @param {string} input.cacheName Name of the cache the Responses belong to.
-   * @param {Number} [input.now] A timestamp.
-   * @return {Array<string>} A list of the URLs that were expired.
-   */
-  async findOldEntries({cacheName, now} = {}) {
-    assert.isType({cacheName}, 'string');
-    assert.isType({now}, 'number');
-
-    const expireOlderThan = now - (this.maxAgeSeconds * 1000);
-    const urls = [];
-    const db = await this.getDB({cacheName});
-    const tx = db.transaction(cacheName, 'readonly');
-    const store = tx.objectStore(cacheName);
-    const timestampIndex = store.index(timestampPropertyName);
-
-    timestampIndex.iterateCursor((cursor) => {
-      if (!cursor) {
-        return;
-      }
-
-      if (cursor.value[timestampPropertyName] < expireOlderThan) {
-        urls.push(cursor.value[urlPropertyName]);
-      }
-
-      cursor.continue();
-    });
-
-    await tx.complete;
-    return urls;
-  }
-
-  /**
-   * Finds the URLs that should be expired as per the current state of IndexedDB
-   * and the `maxEntries` configuration. A least-recently used policy is
-   * enforced, so if `maxEntries` is `N`, and there are `N + M` URLs listed in
-   * IndexedDB, then this function will return the least-recently used `M` URLs.
-   *
-   * @private
-   * @param {Object} input
-   * @param {string} input.cacheName Name of the cache the Responses belong to.
-   * @return {Array<string>} A list of the URLs that are candidates for
-   *   expiration.
-   */
-  async findExtraEntries({cacheName} = {}) {
-    assert.isType({cacheName}, 'string');
-
-    const urls = [];
-    const db = await this.getDB({cacheName});
-    let tx = db.transaction(cacheName, 'readonly');
-    let store = tx.objectStore(cacheName);
-    let timestampIndex = store.index(timestampPropertyName);
-    const initialCount = await timestampIndex.count();
-
-    if (initialCount > this.maxEntries) {
-      // We need to create a new transaction to make Firefox happy.
-      tx = db.transaction(cacheName, 'readonly');
-      store = tx.objectStore(cacheName);
-      timestampIndex = store.index(timestampPropertyName);
-
-      timestampIndex.iterateCursor((cursor) => {
-        if (!cursor) {
-          return;
-        }
-
-        urls.push(cursor.value[urlPropertyName]);
-
-        if (initialCount - urls.length > this.maxEntries) {
-          cursor.continue();
-        }
-      });
-    }
-
-    await tx.complete;
-    return urls;
-  }
-
-  /**
-   * Removes entries corresponding to each of the URLs from both the Cache
-   * Storage API and from IndexedDB.
-   *
-   * @private
-   * @param {Object} input
-   * @param {string} input.cacheName Name of the cache the Responses belong to.
-   * @param {Array<string>} urls The URLs to delete.
-   */
-  async deleteFromCacheAndIDB({cacheName, urls} = {}) {
-    assert.isType({cacheName}, 'string');
-    assert.isInstance({urls}, Array);
-
-    if (urls.length > 0) {
-      const cache = await this.getCache({cacheName});
-      const db = await this.getDB({cacheName});
-
-      await urls.forEach(async (url) => {
-        await cache.delete(url);
-        const tx = db.transaction(cacheName, 'readwrite');
-        const store = tx.objectStore(cacheName);
-        await store.delete(url);
-        await tx.complete;
-      });
-    }
+  expireEntries({cacheName, now} = {}) {
+    return this.getCacheExpiration({cacheName}).expireEntries({now});
   }
 }
 
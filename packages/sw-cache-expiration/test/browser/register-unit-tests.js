@@ -1,6 +1,7 @@
 describe('Service Worker Unit Test Registration', function() {
   const pathPrefix = '../sw/';
   const swUnitTests = [
+    'cache-expiration.js',
     'plugin.js',
   ].map((script) => `${pathPrefix}${script}`);
 
@@ -0,0 +1,428 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-cache-expiration/build/sw-cache-expiration.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+let count = 0;
+const getUniqueUrl = () => 'https://example.com/?count=' + count++;
+const getUniqueCacheName = () => 'test-cache-expiration-' + count++;
+
+describe('Test of the CacheExpiration class', function() {
+  const maxAgeSeconds = 3;
+  const maxEntries = 3;
+  const now = 1487106334920;
+  const urlPropertyName = goog.cacheExpiration.urlPropertyName;
+  const sizePropertyName = goog.cacheExpiration.sizePropertyName;
+  const timestampPropertyName = goog.cacheExpiration.timestampPropertyName;
+  const lastAccessedPropertyName =
+    goog.cacheExpiration.lastAccessedPropertyName;
+
+  const CacheExpiration = goog.cacheExpiration.CacheExpiration;
+
+  it(`should throw when CacheExpiration() is called without a cacheName`, function() {
+    let thrownError = null;
+    try {
+      new CacheExpiration({maxEntries});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.message).to.contain('cacheName');
+  });
+
+  it(`should throw when CacheExpiration() is called without any limits`, function() {
+    let thrownError = null;
+    try {
+      new CacheExpiration({cacheName: getUniqueCacheName()});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('max-entries-or-age-required');
+  });
+
+  it(`should throw when CacheExpiration() is called with an invalid lru parameter`, function() {
+    let thrownError = null;
+    try {
+      new CacheExpiration({cacheName: getUniqueCacheName(), maxEntries,
+        lru: 'invalid'});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('lru-must-be-boolean');
+  });
+
+  it(`should return the same IDB instance when getDB() is called multiple times`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    return cacheExpiration.getDB().then((firstDB) => {
+      return cacheExpiration.getDB().then((secondDB) => {
+        expect(firstDB).to.eql(secondDB);
+      });
+    });
+  });
+
+  it(`should return the same Cache instance when getCache() is called multiple times`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    return cacheExpiration.getCache().then((firstCache) => {
+      return cacheExpiration.getCache().then((secondCache) => {
+        expect(firstCache).to.eql(secondCache);
+      });
+    });
+  });
+
+  it(`should only expire entries older than maxAgeSeconds when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxAgeSeconds});
+    const firstStaleUrl = getUniqueUrl();
+    const secondStaleUrl = getUniqueUrl();
+    const firstFreshUrl = getUniqueUrl();
+    const secondFreshUrl = getUniqueUrl();
+    const freshNow = now - (maxAgeSeconds - 1) * 1000;
+    const staleNow = now - (maxAgeSeconds + 1) * 1000;
+    const updatePromises = [
+      cacheExpiration.updateTimestamp({url: firstFreshUrl, now: freshNow}),
+      cacheExpiration.updateTimestamp({url: secondFreshUrl, now: freshNow}),
+      cacheExpiration.updateTimestamp({url: firstStaleUrl, now: staleNow}),
+      cacheExpiration.updateTimestamp({url: secondStaleUrl, now: staleNow}),
+    ];
+
+    return Promise.all(updatePromises)
+      .then(() => cacheExpiration.expireEntries({now}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql([firstStaleUrl, secondStaleUrl]));
+  });
+
+  it(`should only expire the oldest entries beyond maxEntries when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    const urls = [];
+    const extraEntryCount = 2;
+    for (let i = 0; i < maxEntries + extraEntryCount; i++) {
+      urls.push(getUniqueUrl());
+    }
+    const updatePromises = urls.map((url, i) => cacheExpiration.updateTimestamp({
+      url, now: now + i}));
+
+    return Promise.all(updatePromises)
+      // Update urls[0], so that it's no longer the oldest.
+      .then(() => cacheExpiration.updateTimestamp({url: urls[0], now: now + urls.length}))
+      .then(() => cacheExpiration.expireEntries({now: now + urls.length}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql(urls.slice(1, extraEntryCount + 1)));
+  });
+
+  it(`should use the Content-Length header or the body length in getResponseSize()`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxSizeBytes: 100});
+    const response = new Response('12345', {headers: {'content-length': '10'}});
+    return cacheExpiration.getResponseSize({response})
+      .then((size) => expect(size).to.equal(10))
+      .then(() => cacheExpiration.getResponseSize({response: new Response('12345')}))
+      .then((size) => expect(size).to.equal(5));
+  });
+
+  it(`should keep the stored size when updateTimestamp() is called without one`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxSizeBytes: 100});
+    const url = getUniqueUrl();
+
+    return cacheExpiration.updateTimestamp({url, now, size: 42})
+      .then(() => cacheExpiration.updateTimestamp({url, now: now + 1}))
+      .then(() => cacheExpiration.getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.get(url);
+      }).then((entry) => {
+        expect(entry[timestampPropertyName]).to.equal(now + 1);
+        expect(entry[sizePropertyName]).to.equal(42);
+      });
+  });
+
+  it(`should expire the oldest entries over maxSizeBytes when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxSizeBytes: 100});
+    const urls = [getUniqueUrl(), getUniqueUrl(), getUniqueUrl(), getUniqueUrl()];
+    const sizes = [30, 60, 20, 40];
+    const updatePromises = urls.map((url, i) => cacheExpiration.updateTimestamp({
+      url, now: now + i, size: sizes[i]}));
+
+    return Promise.all(updatePromises)
+      .then(() => cacheExpiration.expireEntries({now}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql(urls.slice(0, 2)));
+  });
+
+  it(`should not count entries beyond maxEntries towards maxSizeBytes when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries,
+      maxSizeBytes: 100});
+    const urls = [getUniqueUrl(), getUniqueUrl(), getUniqueUrl(), getUniqueUrl()];
+    const sizes = [60, 30, 20, 40];
+    const updatePromises = urls.map((url, i) => cacheExpiration.updateTimestamp({
+      url, now: now + i, size: sizes[i]}));
+
+    return Promise.all(updatePromises)
+      .then(() => cacheExpiration.expireEntries({now}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql([urls[0]]));
+  });
+
+  it(`should delete expired entries from the cache and IndexedDB when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    const urls = [];
+    const extraEntryCount = 2;
+    for (let i = 0; i < maxEntries + extraEntryCount; i++) {
+      urls.push(getUniqueUrl());
+    }
+    const updatePromises = urls.map((url, i) => cacheExpiration.updateTimestamp({
+      url, now: now + i}));
+
+    return Promise.all(updatePromises)
+      .then(() => caches.open(cacheName))
+      .then((cache) => {
+        return Promise.all(urls.map((url) => cache.put(url, new Response())))
+          .then(() => cacheExpiration.expireEntries({now}))
+          .then(() => cache.keys())
+          .then((responses) => responses.map((response) => response.url))
+          .then((cachedURLs) => expect(cachedURLs).to.eql(urls.slice(extraEntryCount)))
+          .then(() => cacheExpiration.getDB())
+          .then((db) => {
+            const tx = db.transaction(cacheName, 'readonly');
+            const store = tx.objectStore(cacheName);
+            return store.getAll();
+          }).then((idbEntries) => idbEntries.map((entry) => entry[urlPropertyName]))
+          .then((idbEntryUrls) => expect(idbEntryUrls).to.eql(urls.slice(extraEntryCount)));
+      });
+  });
+
+  it(`should report whether a URL is expired when isURLExpired() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxAgeSeconds});
+    const freshUrl = getUniqueUrl();
+    const staleUrl = getUniqueUrl();
+
+    return Promise.all([
+      cacheExpiration.updateTimestamp({url: freshUrl, now}),
+      cacheExpiration.updateTimestamp({url: staleUrl, now: now - (maxAgeSeconds + 1) * 1000}),
+    ])
+      .then(() => cacheExpiration.isURLExpired({url: freshUrl, now}))
+      .then((isExpired) => expect(isExpired).to.be.false)
+      .then(() => cacheExpiration.isURLExpired({url: staleUrl, now}))
+      .then((isExpired) => expect(isExpired).to.be.true)
+      .then(() => cacheExpiration.isURLExpired({url: getUniqueUrl(), now}))
+      .then((isExpired) => expect(isExpired).to.be.false);
+  });
+
+  it(`should remove every entry from the cache and IndexedDB when purge() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    const urls = [getUniqueUrl(), getUniqueUrl()];
+
+    return caches.open(cacheName)
+      .then((cache) => Promise.all(urls.map((url) => {
+        return cache.put(url, new Response())
+          .then(() => cacheExpiration.updateTimestamp({url, now}));
+      }))
+      .then(() => cacheExpiration.purge())
+      .then(() => cache.keys()))
+      .then((requests) => expect(requests).to.eql([]))
+      .then(() => cacheExpiration.getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.getAll();
+      }).then((idbEntries) => expect(idbEntries).to.eql([]));
+  });
+
+  it(`should expire old entries when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxAgeSeconds});
+    const freshUrl = getUniqueUrl();
+    const staleUrl = getUniqueUrl();
+
+    return Promise.all([
+      cacheExpiration.updateTimestamp({url: freshUrl, now}),
+      cacheExpiration.updateTimestamp({url: staleUrl, now: now - (maxAgeSeconds + 1) * 1000}),
+    ])
+      .then(() => cacheExpiration.expireEntries({now}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql([staleUrl]));
+  });
+
+  it(`should not change the age of an entry when updateLastAccessed() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxAgeSeconds});
+    const url = getUniqueUrl();
+    const accessedUrl = getUniqueUrl();
+    const writtenAt = now - (maxAgeSeconds + 1) * 1000;
+
+    return cacheExpiration.updateTimestamp({url, now: writtenAt})
+      .then(() => cacheExpiration.updateLastAccessed({url, now}))
+      .then(() => cacheExpiration.updateLastAccessed({url: accessedUrl, now}))
+      .then(() => cacheExpiration.getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return Promise.all([store.get(url), store.get(accessedUrl)]);
+      }).then(([entry, accessedEntry]) => {
+        expect(entry[timestampPropertyName]).to.equal(writtenAt);
+        expect(entry[lastAccessedPropertyName]).to.equal(now);
+        // Accessing a URL with no stored timestamp doesn't create an entry.
+        expect(accessedEntry).to.not.exist;
+      })
+      .then(() => cacheExpiration.expireEntries({now}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql([url]));
+  });
+
+  it(`should expire the least recently used entries when maxEntries is reached`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    const urls = [];
+    for (let i = 0; i < maxEntries + 1; i++) {
+      urls.push(getUniqueUrl());
+    }
+
+    return Promise.all(urls.map((url, i) => cacheExpiration.updateTimestamp({
+      url, now: now + i})))
+      .then(() => cacheExpiration.updateLastAccessed({url: urls[0],
+        now: now + urls.length}))
+      .then(() => cacheExpiration.expireEntries({now: now + urls.length}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql([urls[1]]));
+  });
+
+  it(`should write timestamp updates made together in a single batch`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    const firstUrl = getUniqueUrl();
+    const secondUrl = getUniqueUrl();
+
+    const firstUpdate = cacheExpiration.updateTimestamp({url: firstUrl, now});
+    const secondUpdate = cacheExpiration.updateTimestamp({url: secondUrl, now});
+    expect(firstUpdate).to.equal(secondUpdate);
+
+    return secondUpdate
+      .then(() => cacheExpiration.getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.count();
+      }).then((count) => expect(count).to.equal(2));
+  });
+
+  it(`should use the latest now passed to expireEntries() calls that share a pass`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxAgeSeconds});
+    const url = getUniqueUrl();
+
+    return cacheExpiration.updateTimestamp({url, now})
+      .then(() => {
+        cacheExpiration.expireEntries({now});
+        return cacheExpiration.expireEntries({
+          now: now + (maxAgeSeconds + 1) * 1000});
+      })
+      .then((expiredUrls) => expect(expiredUrls).to.eql([url]));
+  });
+
+  it(`should share a single pass between concurrent expireEntries() calls`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+    const urls = [];
+    const extraEntryCount = 2;
+    for (let i = 0; i < maxEntries + extraEntryCount; i++) {
+      urls.push(getUniqueUrl());
+    }
+
+    return caches.open(cacheName)
+      .then((cache) => Promise.all(urls.map((url, i) => {
+        return cache.put(url, new Response())
+          .then(() => cacheExpiration.updateTimestamp({url, now: now + i}));
+      }))
+      .then(() => {
+        const firstPass = cacheExpiration.expireEntries({now});
+        const secondPass = cacheExpiration.expireEntries({now});
+        expect(firstPass).to.equal(secondPass);
+        return secondPass;
+      })
+      .then((expiredUrls) => expect(expiredUrls).to.eql(urls.slice(0, extraEntryCount)))
+      .then(() => cache.keys()))
+      .then((requests) => requests.map((request) => request.url))
+      .then((cachedURLs) => expect(cachedURLs).to.eql(urls.slice(extraEntryCount)));
+  });
+
+  it(`should share a single pass between expireEntries() calls made in quick succession`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+
+    const firstPass = cacheExpiration.expireEntries({now});
+    return new Promise((resolve) => setTimeout(resolve, 10))
+      .then(() => expect(cacheExpiration.expireEntries({now})).to.equal(firstPass))
+      .then(() => firstPass);
+  });
+
+  it(`should expire both the old entries and the entries beyond maxEntries when expireEntries() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const cacheExpiration = new CacheExpiration({cacheName, maxEntries,
+      maxAgeSeconds});
+    const urls = [];
+    for (let i = 0; i < maxEntries + 2; i++) {
+      urls.push(getUniqueUrl());
+    }
+    const expireNow = now + (maxAgeSeconds * 1000) + 3;
+
+    // The first three entries are old, which is more than the two beyond
+    // maxEntries.
+    return Promise.all(urls.map((url, i) => cacheExpiration.updateTimestamp({
+      url, now: now + i})))
+      .then(() => cacheExpiration.expireEntries({now: expireNow}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql(urls.slice(0, 3)))
+      .then(() => cacheExpiration.getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.getAll();
+      }).then((idbEntries) => idbEntries.map((entry) => entry[urlPropertyName]))
+      .then((idbEntryUrls) => expect(idbEntryUrls.sort()).to.eql(urls.slice(3).sort()));
+  });
+
+  describe('with last accesses recorded before the service worker started', function() {
+    let cacheName;
+    let urls;
+
+    // The last access is recorded by a separate instance, as it would be by
+    // a previous run of the service worker.
+    beforeEach(function() {
+      cacheName = getUniqueCacheName();
+      urls = [];
+      for (let i = 0; i < maxEntries + 1; i++) {
+        urls.push(getUniqueUrl());
+      }
+
+      const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+      return Promise.all(urls.map((url, i) => cacheExpiration.updateTimestamp({
+        url, now: now + i})))
+        .then(() => cacheExpiration.updateLastAccessed({url: urls[0],
+          now: now + urls.length}));
+    });
+
+    it(`should expire the least recently used entries in lru mode`, function() {
+      const cacheExpiration = new CacheExpiration({cacheName, maxEntries,
+        lru: true});
+      return cacheExpiration.expireEntries({now: now + urls.length})
+        .then((expiredUrls) => expect(expiredUrls).to.eql([urls[1]]));
+    });
+
+    it(`should expire the least recently written entries otherwise`, function() {
+      const cacheExpiration = new CacheExpiration({cacheName, maxEntries});
+      return cacheExpiration.expireEntries({now: now + urls.length})
+        .then((expiredUrls) => expect(expiredUrls).to.eql([urls[0]]));
+    });
+  });
+});
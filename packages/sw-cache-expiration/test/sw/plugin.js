@@ -2,7 +2,8 @@ importScripts(
   '/node_modules/mocha/mocha.js',
   '/node_modules/chai/chai.js',
   '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
-  '/packages/sw-cache-expiration/build/sw-cache-expiration.js'
+  '/packages/sw-cache-expiration/build/sw-cache-expiration.js',
+  '/packages/sw-runtime-caching/build/sw-runtime-caching.min.js'
 );
 
 const expect = self.chai.expect;
@@ -18,13 +19,21 @@ function getUniqueUrl() {
 function getUniqueCacheName() {
   return 'test-cache-' + count++;
 }
+const getCachedResponse = (cacheName, url, headers) => {
+  return caches.open(cacheName).then((cache) => {
+    return cache.put(url, new Response('', {headers}))
+      .then(() => cache.match(url));
+  });
+};
 
 describe('Test of the Plugin class', function() {
   const maxAgeSeconds = 3;
   const maxEntries = 3;
   const now = 1487106334920;
   const timestampPropertyName = goog.cacheExpiration.timestampPropertyName;
-  const urlPropertyName = goog.cacheExpiration.urlPropertyName;
+  const sizePropertyName = goog.cacheExpiration.sizePropertyName;
+  const lastAccessedPropertyName =
+    goog.cacheExpiration.lastAccessedPropertyName;
 
   const Plugin = goog.cacheExpiration.Plugin;
 
@@ -62,6 +71,61 @@ describe('Test of the Plugin class', function() {
     expect(thrownError.name).to.equal('max-age-seconds-must-be-number');
   });
 
+  it(`should throw when Plugin() is called with an invalid maxSizeBytes parameter`, function() {
+    let thrownError = null;
+    try {
+      new Plugin({maxSizeBytes: 'invalid'});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('max-size-bytes-must-be-number');
+  });
+
+  it(`should throw when Plugin() is called with an invalid opaqueResponseSizeBytes parameter`, function() {
+    let thrownError = null;
+    try {
+      new Plugin({maxSizeBytes: 100, opaqueResponseSizeBytes: 'invalid'});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('opaque-response-size-bytes-must-be-number');
+  });
+
+  it(`should throw when Plugin() is called with an invalid honorCacheControl parameter`, function() {
+    let thrownError = null;
+    try {
+      new Plugin({maxEntries, honorCacheControl: 'invalid'});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('honor-cache-control-must-be-boolean');
+  });
+
+  it(`should throw when Plugin() is called with an invalid purgeOnQuotaError parameter`, function() {
+    let thrownError = null;
+    try {
+      new Plugin({maxEntries, purgeOnQuotaError: 'invalid'});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('purge-on-quota-error-must-be-boolean');
+  });
+
+  it(`should throw when Plugin() is called with an invalid lru parameter`, function() {
+    let thrownError = null;
+    try {
+      new Plugin({maxEntries, lru: 'invalid'});
+    } catch(err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('lru-must-be-boolean');
+  });
+
   it(`should use the maxAgeSeconds from the constructor`, function() {
     const plugin = new Plugin({maxAgeSeconds});
     expect(plugin.maxAgeSeconds).to.equal(maxAgeSeconds);
@@ -72,48 +136,105 @@ describe('Test of the Plugin class', function() {
     expect(plugin.maxEntries).to.equal(maxEntries);
   });
 
-  it(`should return the same IDB instance when getDB() is called multiple times`, function() {
+  it(`should return the same CacheExpiration instance for a cache name`, function() {
     const cacheName = getUniqueCacheName();
     const plugin = new Plugin({maxEntries});
-    return plugin.getDB({cacheName}).then((firstDB) => {
-      return plugin.getDB({cacheName}).then((secondDB) => {
-        expect(firstDB).to.eql(secondDB);
-      });
-    });
+    const cacheExpiration = plugin.getCacheExpiration({cacheName});
+    expect(cacheExpiration).to.be.instanceof(goog.cacheExpiration.CacheExpiration);
+    expect(cacheExpiration.maxEntries).to.equal(maxEntries);
+    expect(plugin.getCacheExpiration({cacheName})).to.equal(cacheExpiration);
+  });
+
+  it(`should purge every cache it has been used with when purgeCaches() is called`, function() {
+    const firstCacheName = getUniqueCacheName();
+    const secondCacheName = getUniqueCacheName();
+    const plugin = new Plugin({maxEntries, purgeOnQuotaError: true});
+    const url = getUniqueUrl();
+
+    return Promise.all([firstCacheName, secondCacheName].map((cacheName) => {
+      return getCachedResponse(cacheName, url)
+        .then(() => plugin.updateTimestamp({cacheName, url, now}));
+    }))
+      .then(() => plugin.purgeCaches())
+      .then(() => Promise.all([firstCacheName, secondCacheName].map((cacheName) => {
+        return caches.open(cacheName).then((cache) => cache.keys());
+      })))
+      .then((keys) => expect(keys).to.eql([[], []]));
   });
 
-  it(`should return the same Cache instance when getCache() is called multiple times`, function() {
+  it(`should purge the cache being written to on a quota error, even if it hasn't been used yet`, function() {
     const cacheName = getUniqueCacheName();
-    const plugin = new Plugin({maxEntries});
-    return plugin.getCache({cacheName}).then((firstCache) => {
-      return plugin.getCache({cacheName}).then((secondCache) => {
-        expect(firstCache).to.eql(secondCache);
-      });
+    const url = getUniqueUrl();
+    const existingCallbacks = new Set(self.goog._quotaErrorCallbacks);
+    const plugin = new Plugin({maxEntries, purgeOnQuotaError: true});
+    const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+      cacheName,
+      plugins: [plugin],
+    });
+    requestWrapper.fetch = () => Promise.resolve(new Response('network'));
+
+    // Rejects the first write with a quota error, as a full storage would.
+    let putCount = 0;
+    requestWrapper.getCache = () => Promise.resolve({
+      match: () => Promise.resolve(),
+      put: () => {
+        putCount++;
+        return putCount === 1 ?
+          Promise.reject(new DOMException('Injected quota error.', 'QuotaExceededError')) :
+          Promise.resolve();
+      },
     });
+
+    // The plugin's callback is shared through the goog namespace, so it's
+    // removed again to keep it from affecting other tests.
+    const removeCallback = () => {
+      for (let callback of self.goog._quotaErrorCallbacks) {
+        if (!existingCallbacks.has(callback)) {
+          self.goog._quotaErrorCallbacks.delete(callback);
+        }
+      }
+    };
+
+    return getCachedResponse(cacheName, url)
+      .then(() => requestWrapper.fetchAndCache({request: url, waitOnCache: true}))
+      .then(() => caches.open(cacheName))
+      .then((cache) => cache.keys())
+      .then((keys) => {
+        removeCallback();
+        expect(putCount).to.equal(2);
+        expect(keys).to.eql([]);
+      }, (err) => {
+        removeCallback();
+        throw err;
+      });
   });
 
   it(`should return true when there's no cachedResponse passed to isResponseFresh()`, function() {
     const plugin = new Plugin({maxAgeSeconds});
-    expect(plugin.isResponseFresh()).to.be.true;
+    return plugin.isResponseFresh()
+      .then((isFresh) => expect(isFresh).to.be.true);
   });
 
   it(`should return true when isResponseFresh() is called and there's no maxAgeSeconds`, function() {
     const plugin = new Plugin({maxEntries});
     const cachedResponse = new Response();
-    expect(plugin.isResponseFresh({cachedResponse})).to.be.true;
+    return plugin.isResponseFresh({cachedResponse})
+      .then((isFresh) => expect(isFresh).to.be.true);
   });
 
   it(`should return true when isResponseFresh() is called and there's no Date: header in the cachedResponse`, function() {
     const plugin = new Plugin({maxAgeSeconds});
     const cachedResponse = new Response();
-    expect(plugin.isResponseFresh({cachedResponse})).to.be.true;
+    return plugin.isResponseFresh({cachedResponse})
+      .then((isFresh) => expect(isFresh).to.be.true);
   });
 
   it(`should return true when isResponseFresh() is called and the Date: header in the cachedResponse is recent`, function() {
     const plugin = new Plugin({maxAgeSeconds});
     const date = new Date(now).toUTCString();
     const cachedResponse = new Response('', {headers: {date}});
-    expect(plugin.isResponseFresh({cachedResponse, now})).to.be.true;
+    return plugin.isResponseFresh({cachedResponse, now})
+      .then((isFresh) => expect(isFresh).to.be.true);
   });
 
   it(`should return false when isResponseFresh() is called and the Date: header in the cachedResponse is not recent`, function() {
@@ -121,14 +242,84 @@ describe('Test of the Plugin class', function() {
     // This will construct a date that is 1 second past the expiration.
     const date = new Date(now - ((maxAgeSeconds + 1) * 1000)).toUTCString();
     const cachedResponse = new Response('', {headers: {date}});
-    expect(plugin.isResponseFresh({cachedResponse, now})).to.be.false;
+    return plugin.isResponseFresh({cachedResponse, now})
+      .then((isFresh) => expect(isFresh).to.be.false);
+  });
+
+  it(`should prefer the stored timestamp over a recent Date: header in isResponseFresh()`, function() {
+    const cacheName = getUniqueCacheName();
+    const plugin = new Plugin({maxAgeSeconds});
+    const url = getUniqueUrl();
+    const date = new Date(now).toUTCString();
+    const staleNow = now - ((maxAgeSeconds + 1) * 1000);
+
+    return plugin.updateTimestamp({cacheName, url, now: staleNow})
+      .then(() => getCachedResponse(cacheName, url, {date}))
+      .then((cachedResponse) => plugin.isResponseFresh({cacheName, request: url, cachedResponse, now}))
+      .then((isFresh) => expect(isFresh).to.be.false);
+  });
+
+  it(`should prefer the stored timestamp over an old Date: header in isResponseFresh()`, function() {
+    const cacheName = getUniqueCacheName();
+    const plugin = new Plugin({maxAgeSeconds});
+    const url = getUniqueUrl();
+    const date = new Date(now - ((maxAgeSeconds + 1) * 1000)).toUTCString();
+
+    return plugin.updateTimestamp({cacheName, url, now})
+      .then(() => getCachedResponse(cacheName, url, {date}))
+      .then((cachedResponse) => plugin.isResponseFresh({cacheName, request: url, cachedResponse, now}))
+      .then((isFresh) => expect(isFresh).to.be.true);
+  });
+
+  it(`should honor Cache-Control: max-age in isResponseFresh() when honorCacheControl is set`, function() {
+    const cacheName = getUniqueCacheName();
+    const plugin = new Plugin({maxEntries, honorCacheControl: true});
+    const url = getUniqueUrl();
+
+    return plugin.updateTimestamp({cacheName, url, now: now - 20 * 1000})
+      .then(() => getCachedResponse(cacheName, url, {'cache-control': 'public, max-age=10'}))
+      .then((cachedResponse) => plugin.isResponseFresh({cacheName, request: url, cachedResponse, now}))
+      .then((isFresh) => expect(isFresh).to.be.false)
+      .then(() => plugin.isResponseFresh({cacheName, now: now - 15 * 1000,
+        cachedResponse: new Response('', {headers: {
+          'date': new Date(now - 20 * 1000).toUTCString(),
+          'cache-control': 'max-age=10',
+        }})}))
+      .then((isFresh) => expect(isFresh).to.be.true);
+  });
+
+  it(`should honor the Expires: header in isResponseFresh() when honorCacheControl is set`, function() {
+    const plugin = new Plugin({maxEntries, honorCacheControl: true});
+    const headers = {
+      date: new Date(now).toUTCString(),
+      expires: new Date(now + 10 * 1000).toUTCString(),
+    };
+    const cachedResponse = new Response('', {headers});
+
+    return plugin.isResponseFresh({cachedResponse, now: now + 5 * 1000})
+      .then((isFresh) => expect(isFresh).to.be.true)
+      .then(() => plugin.isResponseFresh({cachedResponse, now: now + 15 * 1000}))
+      .then((isFresh) => expect(isFresh).to.be.false);
+  });
+
+  it(`should ignore Cache-Control: max-age in isResponseFresh() by default`, function() {
+    const plugin = new Plugin({maxEntries});
+    const headers = {
+      'date': new Date(now - 20 * 1000).toUTCString(),
+      'cache-control': 'max-age=10',
+    };
+    const cachedResponse = new Response('', {headers});
+
+    return plugin.isResponseFresh({cachedResponse, now})
+      .then((isFresh) => expect(isFresh).to.be.true);
   });
 
   it(`should return cachedResponse when cacheWillMatch() is called and isResponseFresh() is true`, function() {
     const plugin = new Plugin({maxAgeSeconds});
     const date = new Date(now).toUTCString();
     const cachedResponse = new Response('', {headers: {date}});
-    expect(plugin.cacheWillMatch({cachedResponse, now})).to.eql(cachedResponse);
+    return plugin.cacheWillMatch({cachedResponse, now})
+      .then((response) => expect(response).to.eql(cachedResponse));
   });
 
   it(`should return null when cacheWillMatch() is called and isResponseFresh() is false`, function() {
@@ -136,91 +327,123 @@ describe('Test of the Plugin class', function() {
     // This will construct a date that is 1 second past the expiration.
     const date = new Date(now - ((maxAgeSeconds + 1) * 1000)).toUTCString();
     const cachedResponse = new Response('', {headers: {date}});
-    expect(plugin.cacheWillMatch({cachedResponse, now})).to.be.null;
+    return plugin.cacheWillMatch({cachedResponse, now})
+      .then((response) => expect(response).to.be.null);
   });
 
-  it(`should update IndexedDB when updateTimestamp() is called`, function() {
+  it(`should record the last access when cacheWillMatch() is called in lru mode`, function() {
     const cacheName = getUniqueCacheName();
-    const plugin = new Plugin({maxAgeSeconds});
+    const plugin = new Plugin({maxEntries, maxAgeSeconds, lru: true});
     const url = getUniqueUrl();
+    const later = now + 1000;
 
     return plugin.updateTimestamp({cacheName, url, now})
-      .then(() => plugin.getDB({cacheName}))
+      .then(() => caches.open(cacheName))
+      .then((cache) => cache.put(url, new Response('')).then(() => cache.match(url)))
+      .then((cachedResponse) => plugin.cacheWillMatch({cacheName, request: url, cachedResponse,
+        now: later}))
+      .then((response) => expect(response.url).to.equal(url))
+      // The access is recorded in the background; expireEntries() waits for
+      // any pending writes before it runs.
+      .then(() => plugin.expireEntries({cacheName, now: later}))
+      .then(() => plugin.getCacheExpiration({cacheName}).getDB())
       .then((db) => {
         const tx = db.transaction(cacheName, 'readonly');
         const store = tx.objectStore(cacheName);
         return store.get(url);
-      }).then((entry) => expect(entry[timestampPropertyName]).to.equal(now));
+      }).then((entry) => {
+        // The write time, which maxAgeSeconds is measured from, is unchanged.
+        expect(entry[timestampPropertyName]).to.equal(now);
+        expect(entry[lastAccessedPropertyName]).to.equal(later);
+      });
   });
 
-  it(`should only find expired entries when findOldEntries() is called`, function() {
+  it(`should not return a response read more often than maxAgeSeconds once it's too old in lru mode`, function() {
     const cacheName = getUniqueCacheName();
-    const plugin = new Plugin({maxAgeSeconds});
-    const firstStaleUrl = getUniqueUrl();
-    const secondStaleUrl = getUniqueUrl();
-    const firstFreshUrl = getUniqueUrl();
-    const secondFreshUrl = getUniqueUrl();
-    const freshNow = now - (maxAgeSeconds - 1) * 1000;
-    const staleNow = now - (maxAgeSeconds + 1) * 1000;
-    const updatePromises = [
-      plugin.updateTimestamp({cacheName, url: firstFreshUrl, now: freshNow}),
-      plugin.updateTimestamp({cacheName, url: secondFreshUrl, now: freshNow}),
-      plugin.updateTimestamp({cacheName, url: firstStaleUrl, now: staleNow}),
-      plugin.updateTimestamp({cacheName, url: secondStaleUrl, now: staleNow}),
-    ];
-
-    return Promise.all(updatePromises)
-      .then(() => plugin.findOldEntries({cacheName, now}))
-      .then((oldEntries) => expect(oldEntries).to.eql([firstStaleUrl, secondStaleUrl]));
-  });
-
-  it(`should find only extra entries when findExtraEntries() is called`, function() {
+    const plugin = new Plugin({maxAgeSeconds, lru: true});
+    const url = getUniqueUrl();
+    const halfway = now + (maxAgeSeconds * 1000 / 2);
+    const expired = now + (maxAgeSeconds + 1) * 1000;
+
+    return plugin.updateTimestamp({cacheName, url, now})
+      .then(() => getCachedResponse(cacheName, url))
+      .then((cachedResponse) => {
+        return plugin.cacheWillMatch({cacheName, request: url, cachedResponse,
+          now: halfway})
+          .then((response) => expect(response).to.eql(cachedResponse))
+          .then(() => plugin.cacheWillMatch({cacheName, request: url,
+            cachedResponse, now: expired}));
+      })
+      .then((response) => expect(response).to.be.null);
+  });
+
+  it(`should not update the timestamp when cacheWillMatch() is called without lru mode`, function() {
     const cacheName = getUniqueCacheName();
     const plugin = new Plugin({maxEntries});
-    const urls = [];
-    const extraEntryCount = 2;
-    for (let i = 0; i < maxEntries + extraEntryCount; i++) {
-      urls.push(getUniqueUrl());
-    }
-    const updatePromises = urls.map((url, i) => plugin.updateTimestamp({
-      cacheName, url, now: now + i}));
+    const url = getUniqueUrl();
 
-    return Promise.all(updatePromises)
-      .then(() => plugin.findExtraEntries({cacheName}))
-      .then((extraEntries) => expect(extraEntries).to.eql(urls.slice(0, extraEntryCount)))
-      // Test again with the urls[0] value updated, so that it's no longer the oldest.
-      .then(() => plugin.updateTimestamp({cacheName, url: urls[0], now: now + maxEntries}))
-      .then(() => plugin.findExtraEntries({cacheName}))
-      .then((extraEntries) => expect(extraEntries).to.eql(urls.slice(1, extraEntryCount + 1)));
+    return caches.open(cacheName)
+      .then((cache) => cache.put(url, new Response('')).then(() => cache.match(url)))
+      .then((cachedResponse) => plugin.cacheWillMatch({cacheName, request: url, cachedResponse, now})
+        .then((response) => expect(response).to.eql(cachedResponse)))
+      .then(() => plugin.getCacheExpiration({cacheName}).getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.get(url);
+      }).then((entry) => expect(entry).to.not.exist);
   });
 
-  it(`should delete expired entries when deleteFromCacheAndIDB() is called`, function() {
+  it(`should keep track of entries by their cache key when cacheDidUpdate() is called`, function() {
     const cacheName = getUniqueCacheName();
-    const plugin = new Plugin({maxEntries});
-    const urls = [];
-    const extraEntryCount = 2;
-    for (let i = 0; i < maxEntries + extraEntryCount; i++) {
-      urls.push(getUniqueUrl());
-    }
-    const updatePromises = urls.map((url, i) => plugin.updateTimestamp({
-      cacheName, url, now: now + i}));
+    const plugin = new Plugin({maxEntries: 1});
+    const urls = [getUniqueUrl(), getUniqueUrl()];
 
-    return Promise.all(updatePromises)
+    // Like opaque responses, these have an empty url, so the cache key is
+    // the only way to tell them apart.
+    return caches.open(cacheName)
+      .then((cache) => Promise.all(urls.map((url) => cache.put(url, new Response('')))))
+      .then(() => plugin.cacheDidUpdate({cacheName, request: new Request(urls[0]),
+        newResponse: new Response(''), now}))
+      .then(() => plugin.cacheDidUpdate({cacheName, request: urls[1],
+        newResponse: new Response(''), now: now + 1}))
+      .then((expiredUrls) => expect(expiredUrls).to.eql([urls[0]]))
       .then(() => caches.open(cacheName))
-      .then((cache) => {
-        return Promise.all(urls.map((url) => cache.put(url, new Response())))
-          .then(() => plugin.findExtraEntries({cacheName}))
-          .then((urls) => plugin.deleteFromCacheAndIDB({cacheName, urls}))
-          .then(() => cache.keys())
-          .then((responses) => responses.map((response) => response.url))
-          .then((cachedURLs) => expect(cachedURLs).to.eql(urls.slice(extraEntryCount)))
-          .then(() => plugin.getDB({cacheName}))
-          .then((db) => {
-            const tx = db.transaction(cacheName, 'readonly');
-            const store = tx.objectStore(cacheName);
-            return store.getAll();
-          }).then((idbEntries) => idbEntries.map((entry) => entry[urlPropertyName]))
-          .then((idbEntryUrls) => expect(idbEntryUrls).to.eql(urls.slice(extraEntryCount)));
-      });
+      .then((cache) => cache.keys())
+      .then((requests) => expect(requests.map((request) => request.url))
+        .to.eql([urls[1]]));
+  });
+
+  it(`should record the size of a response without a Content-Length header cached by a RequestWrapper`, function() {
+    const cacheName = getUniqueCacheName();
+    const plugin = new Plugin({maxSizeBytes: 100});
+    const url = getUniqueUrl();
+    const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+      cacheName,
+      plugins: [plugin],
+    });
+    requestWrapper.fetch = () => Promise.resolve(new Response('12345'));
+
+    return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+      .then(() => plugin.getCacheExpiration({cacheName}).getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.get(url);
+      }).then((entry) => expect(entry[sizePropertyName]).to.equal(5));
+  });
+
+  it(`should update IndexedDB when updateTimestamp() is called`, function() {
+    const cacheName = getUniqueCacheName();
+    const plugin = new Plugin({maxAgeSeconds});
+    const url = getUniqueUrl();
+
+    return plugin.updateTimestamp({cacheName, url, now})
+      .then(() => plugin.getCacheExpiration({cacheName}).getDB())
+      .then((db) => {
+        const tx = db.transaction(cacheName, 'readonly');
+        const store = tx.objectStore(cacheName);
+        return store.get(url);
+      }).then((entry) => expect(entry[timestampPropertyName]).to.equal(now));
   });
 });
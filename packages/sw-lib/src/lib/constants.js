@@ -0,0 +1,71 @@
+/*
+ Copyright 2016 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/**
+ * The value `'PRECACHE_PROGRESS'`, used as the `type` field of the messages
+ * sent while precached assets are downloaded.
+ *
+ * @private
+ * @type {string}
+ * @memberof module:sw-lib
+ */
+const precacheProgressMessageType = 'PRECACHE_PROGRESS';
+
+/**
+ * The value `'PRECACHE_READY'`, used as the `type` field of the message sent
+ * once the precached assets are available offline.
+ *
+ * @private
+ * @type {string}
+ * @memberof module:sw-lib
+ */
+const precacheReadyMessageType = 'PRECACHE_READY';
+
+/**
+ * The value `'LOAD_PRECACHE_GROUP'`. Pages can send a message with this
+ * `type` to ask the service worker to download a precache group.
+ *
+ * @private
+ * @type {string}
+ * @memberof module:sw-lib
+ */
+const loadPrecacheGroupMessageType = 'LOAD_PRECACHE_GROUP';
+
+/**
+ * The value `'PRECACHE_GROUP_LOADED'`, used as the `type` field of the reply
+ * to a `'LOAD_PRECACHE_GROUP'` message.
+ *
+ * @private
+ * @type {string}
+ * @memberof module:sw-lib
+ */
+const precacheGroupLoadedMessageType = 'PRECACHE_GROUP_LOADED';
+
+/**
+ * The value `'sw-lib'`, used as the `meta` field of messages sent by sw-lib.
+ *
+ * @private
+ * @type {string}
+ * @memberof module:sw-lib
+ */
+const messageSource = 'sw-lib';
+
+export {
+  precacheProgressMessageType,
+  precacheReadyMessageType,
+  loadPrecacheGroupMessageType,
+  precacheGroupLoadedMessageType,
+  messageSource,
+};
@@ -24,6 +24,8 @@ const errors = {
   'bad-revisioned-cache-list': `The 'cacheRevisionedAssets()' method expects` +
     `an array of revisioned urls like so: ['/example/hello.1234.txt', ` +
     `{path: 'hello.txt', revision: '1234'}]`,
+  'duplicate-precache-entry': `Each precached URL and precache group name ` +
+    `can only be used with one revisioned cache.`,
 };
 
 export default new ErrorFactory(errors);
@@ -15,9 +15,10 @@
 
 /* eslint-env browser, serviceworker */
 
-import {Router as SWRoutingRouter, ExpressRoute, RegExpRoute, Route}
-  from '../../../sw-routing/src/index.js';
+import {Router as SWRoutingRouter, ExpressRoute, RegExpRoute, NavigationRoute,
+  Route} from '../../../sw-routing/src/index.js';
 import ErrorFactory from './error-factory.js';
+import assert from '../../../../lib/assert.js';
 
 /**
  * Adds a friendly API on top of the router from the
@@ -46,54 +47,141 @@ import ErrorFactory from './error-factory.js';
  *   return fetch(args.url);
  * }));
  *
+ * @example <caption>How to define a route that matches several HTTP
+ * methods.</caption>
+ *
+ * goog.swlib.router.registerRoute(
+ *   '/api/:resource', goog.swlib.networkOnly(), ['PUT', 'PATCH']);
+ *
  * @memberof module:sw-lib
  */
 class Router {
   /**
    * An instance of this call can be accessed via `goog.swlib.router`. You
    * should not instantiate this class yourself.
+   *
+   * @param {String} revisionedCacheName The name of the cache used for
+   * revisioned assets, which navigation routes are served from.
    */
-  constructor() {
+  constructor(revisionedCacheName) {
     this._router = new SWRoutingRouter();
+    this._revisionedCacheName = revisionedCacheName;
   }
 
   /**
    * @param {String|Regex|Route} capture The capture for a route can be one
    * of three types.
    * 1. It can be an Express style route, like: '/example/:anything/route/'
-   *    The only gotcha with this is that it will only capture URL's on your
-   *    origin.
+   *    A route starting with '/' will only capture URL's on your origin. To
+   *    capture cross-origin URL's, include the origin in the route, like:
+   *    'https://:subdomain.example.com/assets/:file'.
    * 1. A regex that will be tested against request URL's.
    * 1. A [Route]{@link module:sw-lib.SWLib#Route} instance.
    * @param {function|Handler} handler Called when the route is caught by the
    * capture criteria. The handler argument is ignored if
    * you pass in a Route object, otherwise it's required.
    * If required, provide a function or a runtime caching strategy.
+   * @param {String|Array<String>} [method] Only match requests that use this
+   * HTTP method, or any of the methods if an array is passed. Use `'*'` to
+   * match requests with any method. Defaults to `'GET'`. The method argument
+   * is ignored if you pass in a Route object.
+   * @return {module:sw-routing.Route} The Route object that was registered.
+   * It can be passed to [unregisterRoute()]{@link
+   * module:sw-lib.Router#unregisterRoute} to remove it later.
    */
-  registerRoute(capture, handler) {
+  registerRoute(capture, handler, method) {
     if (typeof handler === 'function') {
       handler = {
         handle: handler,
       };
     }
 
+    let route;
     if (typeof capture === 'string') {
       if (capture.length === 0) {
         throw ErrorFactory.createError('empty-express-string');
       }
 
-      this._router.registerRoute({
-        route: new ExpressRoute({path: capture, handler}),
-      });
+      route = new ExpressRoute({path: capture, handler, method});
     } else if (capture instanceof RegExp) {
-      this._router.registerRoute({
-        route: new RegExpRoute({regExp: capture, handler}),
-      });
+      route = new RegExpRoute({regExp: capture, handler, method});
     } else if (capture instanceof Route) {
-      this._router.registerRoute({route: capture});
+      route = capture;
     } else {
       throw ErrorFactory.createError('unsupported-route-type');
     }
+
+    this._router.registerRoute({route});
+    return route;
+  }
+
+  /**
+   * A shortcut used to register a
+   * [NavigationRoute]{@link module:sw-routing.NavigationRoute} instance that
+   * will respond to navigation requests using a cache entry for `url`.
+   *
+   * This is useful when following the [App Shell pattern](https://developers.google.com/web/fundamentals/architecture/app-shell#caching_the_app_shell),
+   * in which the previously cached shell is returned for all navigations.
+   *
+   * The `url` value should correspond to an entry that's already in the cache,
+   * typically because it was passed to
+   * [cacheRevisionedAssets()]{@link module:sw-lib.SWLib#cacheRevisionedAssets}.
+   * If the entry can't be found in the cache, it will be requested from the
+   * network instead.
+   *
+   * @example
+   * goog.swlib.cacheRevisionedAssets([
+   *   {url: '/app-shell.html', revision: '1234'},
+   * ]);
+   *
+   * goog.swlib.router.registerNavigationRoute('/app-shell.html', {
+   *   blacklist: [/^\/api\//, /^\/admin\//],
+   * });
+   *
+   * @param {String} url The URL of the cached entry to respond with.
+   * @param {Object} [options]
+   * @param {Array<RegExp>} [options.whitelist] Navigations whose URL matches
+   * one of these patterns will be handled. Defaults to every navigation.
+   * @param {Array<RegExp>} [options.blacklist] Navigations whose URL matches
+   * one of these patterns will not be handled, even if the whitelist matches.
+   * @param {String} [options.cacheName] The cache to read `url` from. Defaults
+   * to the cache used by
+   * [cacheRevisionedAssets()]{@link module:sw-lib.SWLib#cacheRevisionedAssets}.
+   * @return {module:sw-routing.NavigationRoute} The route that was registered.
+   */
+  registerNavigationRoute(url, options = {}) {
+    assert.isType({url}, 'string');
+
+    const cacheName = options.cacheName || this._revisionedCacheName;
+    const route = new NavigationRoute({
+      whitelist: options.whitelist,
+      blacklist: options.blacklist,
+      handler: {
+        handle: () => caches.match(url, {cacheName})
+          .then((cachedResponse) => cachedResponse || fetch(url)),
+      },
+    });
+
+    this._router.registerRoute({route});
+    return route;
+  }
+
+  /**
+   * Removes a previously registered route, so that it will no longer be used
+   * to respond to requests.
+   *
+   * @example
+   * const route = goog.swlib.router.registerRoute(
+   *   '/about', goog.swlib.cacheFirst());
+   *
+   * // Later, when the route should no longer apply:
+   * goog.swlib.router.unregisterRoute(route);
+   *
+   * @param {module:sw-routing.Route} route The route returned by
+   * [registerRoute()]{@link module:sw-lib.Router#registerRoute}.
+   */
+  unregisterRoute(route) {
+    this._router.unregisterRoute({route});
   }
 }
 
@@ -17,6 +17,12 @@
 
 import Router from './router.js';
 import ErrorFactory from './error-factory.js';
+import {
+  precacheProgressMessageType, precacheReadyMessageType,
+  loadPrecacheGroupMessageType, precacheGroupLoadedMessageType,
+  messageSource,
+} from './constants.js';
+import assert from '../../../../lib/assert.js';
 import {
   RevisionedCacheManager, UnrevisionedCacheManager,
 } from '../../../sw-precaching/src/index.js';
@@ -25,6 +31,8 @@ import {Plugin as CacheExpirationPlugin} from
   '../../../sw-cache-expiration/src/index.js';
 import {Plugin as BroadcastCacheUpdatePlugin} from
   '../../../sw-broadcast-cache-update/src/index.js';
+import {Plugin as CacheableResponsePlugin} from
+  '../../../sw-cacheable-response/src/index.js';
 import {
   CacheFirst, CacheOnly, NetworkFirst,
   NetworkOnly, StaleWhileRevalidate, RequestWrapper,
@@ -43,10 +51,23 @@ class SWLib {
    * an instance which can be accessed by `self.goog.swlib`.
    */
   constructor() {
-    this._router = new Router();
     this._revisionedCacheManager = new RevisionedCacheManager();
+    this._revisionedCacheManagers = new Map([[
+      this._revisionedCacheManager.getCacheName(),
+      this._revisionedCacheManager,
+    ]]);
     this._unrevisionedCacheManager = new UnrevisionedCacheManager();
+    this._router = new Router(this._revisionedCacheManager.getCacheName());
+    this._precacheRouteOptions = {
+      directoryIndex: 'index.html',
+      ignoreUrlParametersMatching: [],
+      cleanUrls: true,
+    };
+    this._installOptions = new Map();
+    this._precacheProgressChannel = null;
+    this._broadcastPrecacheProgress = false;
     this._registerInstallActivateEvents();
+    this._registerMessageListener();
     this._registerDefaultRoutes();
   }
 
@@ -79,20 +100,114 @@ class SWLib {
    *     }
    * ]);
    *
+   * @example <caption>Limit parallel downloads and retry failures.</caption>
+   * goog.swlib.cacheRevisionedAssets(manifest, {
+   *   maxConcurrentRequests: 10,
+   *   maxRetries: 2,
+   *   retryDelaySeconds: 1,
+   * });
+   *
+   * @example <caption>Keep separate precaches in their own caches.</caption>
+   * goog.swlib.cacheRevisionedAssets(shellManifest);
+   * goog.swlib.cacheRevisionedAssets(checkoutManifest, {
+   *   cacheName: 'checkout-precache',
+   * });
+   *
    * @param {Array<String|Object>} revisionedFiles A set of urls to cache
    * when the service worker is installed.
+   * @param {Object} [options]
+   * @param {String} [options.cacheName] The cache to store these assets in.
+   * Each cache has its own revision details and is cleaned up independently.
+   * A URL can only be added to one cache. Defaults to the default revisioned
+   * cache.
+   * @param {Number} [options.maxConcurrentRequests] The maximum number of
+   * revisioned assets downloaded in parallel during install.
+   * @param {Number} [options.maxRetries] The number of times a failed
+   * download is retried before the install fails.
+   * @param {Number} [options.retryDelaySeconds] The delay before the first
+   * retry, which doubles with each subsequent retry.
+   */
+  cacheRevisionedAssets(revisionedFiles, options = {}) {
+    // Add a more helpful error message than assertion error.
+    if (!Array.isArray(revisionedFiles)) {
+      throw ErrorFactory.createError('bad-revisioned-cache-list');
+    }
+
+    this._validateInstallOptions(options);
+    this._assertNotInOtherCaches(
+      {cacheName: options.cacheName, revisionedFiles});
+    const cacheManager = this._getRevisionedCacheManager(options.cacheName);
+    cacheManager.addToCacheList({
+      revisionedFiles,
+    });
+    this._mergeInstallOptions(cacheManager.getCacheName(), options);
+  }
+
+  /**
+   * Adds revisioned assets to a named group. Unlike
+   * [cacheRevisionedAssets()]{@link module:sw-lib.SWLib#cacheRevisionedAssets},
+   * the assets aren't downloaded during install. Instead, the whole group is
+   * downloaded when
+   * [cachePrecacheGroup()]{@link module:sw-lib.SWLib#cachePrecacheGroup}
+   * is called, when a page sends a `'LOAD_PRECACHE_GROUP'` message or the
+   * first time one of its URLs is requested.
+   *
+   * @example
+   * goog.swlib.addPrecacheGroup('help-center', [
+   *   {url: '/help/index.html', revision: '1234'},
+   *   {url: '/help/styles.css', revision: 'abcd'},
+   * ]);
+   *
+   * // In the page, ask the service worker to download the group.
+   * const messageChannel = new MessageChannel();
+   * messageChannel.port1.onmessage = (event) => {
+   *   console.log(event.data.type); // 'PRECACHE_GROUP_LOADED'
+   * };
+   * navigator.serviceWorker.controller.postMessage({
+   *   type: 'LOAD_PRECACHE_GROUP',
+   *   payload: {groupName: 'help-center'},
+   * }, [messageChannel.port2]);
+   *
+   * @param {String} groupName The name of the group.
+   * @param {Array<String|Object>} revisionedFiles A set of urls to cache
+   * when the group is requested.
+   * @param {Object} [options]
+   * @param {String} [options.cacheName] The cache to store the group in.
+   * A group name, like each of its URLs, can only be used with one cache.
+   * Defaults to the default revisioned cache.
    */
-  cacheRevisionedAssets(revisionedFiles) {
+  addPrecacheGroup(groupName, revisionedFiles, {cacheName} = {}) {
     // Add a more helpful error message than assertion error.
     if (!Array.isArray(revisionedFiles)) {
       throw ErrorFactory.createError('bad-revisioned-cache-list');
     }
 
-    this._revisionedCacheManager.addToCacheList({
+    this._assertNotInOtherCaches({cacheName, revisionedFiles, groupName});
+    this._getRevisionedCacheManager(cacheName).addToCacheList({
       revisionedFiles,
+      group: groupName,
     });
   }
 
+  /**
+   * Downloads the assets in a group added with
+   * [addPrecacheGroup()]{@link module:sw-lib.SWLib#addPrecacheGroup}.
+   *
+   * @example
+   * goog.swlib.cachePrecacheGroup('help-center');
+   *
+   * @param {String} groupName The name of the group.
+   * @return {Promise} Resolves once every asset in the group is cached.
+   */
+  cachePrecacheGroup(groupName) {
+    const cacheManager = Array.from(this._revisionedCacheManagers.values())
+      .find((revisionedCacheManager) => {
+        return revisionedCacheManager.getGroupUrls(groupName).length > 0;
+      });
+    return (cacheManager || this._revisionedCacheManager)
+      .cacheGroup(groupName);
+  }
+
   /**
    * Any assets you wish to cache ahead of time which can't be revisioned
    * should be cached with this method. All assets are cached on install
@@ -115,18 +230,243 @@ class SWLib {
    *     new Request('/api/data.json')
    * ]);
    *
+   * @example <caption>Limit parallel downloads and retry failures.</caption>
+   * goog.swlib.warmRuntimeCache(['/scripts/main.js'], {
+   *   maxConcurrentRequests: 4,
+   *   maxRetries: 2,
+   * });
+   *
    * @param {Array<String|Request>} unrevisionedFiles A set of urls to cache
    * when the service worker is installed.
+   * @param {Object} [options]
+   * @param {Number} [options.maxConcurrentRequests] The maximum number of
+   * unrevisioned assets downloaded in parallel during install.
+   * @param {Number} [options.maxRetries] The number of times a failed
+   * download is retried before the install fails.
+   * @param {Number} [options.retryDelaySeconds] The delay before the first
+   * retry, which doubles with each subsequent retry.
    */
-  warmRuntimeCache(unrevisionedFiles) {
+  warmRuntimeCache(unrevisionedFiles, options = {}) {
     // Add a more helpful error message than assertion error.
     if (!Array.isArray(unrevisionedFiles)) {
       throw ErrorFactory.createError('bad-revisioned-cache-list');
     }
 
+    this._validateInstallOptions(options);
     this._unrevisionedCacheManager.addToCacheList({
       unrevisionedFiles,
     });
+    this._mergeInstallOptions(
+      this._unrevisionedCacheManager.getCacheName(), options);
+  }
+
+  /**
+   * Checks the install options passed to `cacheRevisionedAssets()` or
+   * `warmRuntimeCache()`.
+   *
+   * @private
+   * @param {Object} options The options to check.
+   */
+  _validateInstallOptions({maxConcurrentRequests, maxRetries,
+    retryDelaySeconds}) {
+    if (maxConcurrentRequests !== undefined) {
+      assert.isType({maxConcurrentRequests}, 'number');
+    }
+    if (maxRetries !== undefined) {
+      assert.isType({maxRetries}, 'number');
+    }
+    if (retryDelaySeconds !== undefined) {
+      assert.isType({retryDelaySeconds}, 'number');
+    }
+  }
+
+  /**
+   * Copies the install options that have been set onto the options that the
+   * cache manager for `cacheName` will be installed with.
+   *
+   * @private
+   * @param {String} cacheName The name of the cache the options apply to.
+   * @param {Object} options The options passed by the developer.
+   */
+  _mergeInstallOptions(cacheName, {maxConcurrentRequests, maxRetries,
+    retryDelaySeconds}) {
+    if (!this._installOptions.has(cacheName)) {
+      this._installOptions.set(cacheName, {});
+    }
+
+    const installOptions = this._installOptions.get(cacheName);
+    const newOptions = {maxConcurrentRequests, maxRetries, retryDelaySeconds};
+    Object.keys(newOptions).forEach((key) => {
+      if (newOptions[key] !== undefined) {
+        installOptions[key] = newOptions[key];
+      }
+    });
+  }
+
+  /**
+   * Configures how requests are matched against the URLs passed to
+   * [cacheRevisionedAssets()]{@link module:sw-lib.SWLib#cacheRevisionedAssets}
+   * by the route that sw-lib registers to serve precached assets.
+   *
+   * A request URL is first looked up as-is. If there's no precached entry,
+   * the following variations are tried, in order:
+   *
+   * 1. The URL with any query parameters matching
+   *    `ignoreUrlParametersMatching` removed.
+   * 1. If the URL ends in `/`, the URL with `directoryIndex` appended.
+   * 1. If `cleanUrls` is `true`, the URL with `.html` appended.
+   *
+   * @example
+   * goog.swlib.setPrecacheRouteOptions({
+   *   directoryIndex: 'default.html',
+   *   ignoreUrlParametersMatching: [/^utm_/, /^fbclid$/],
+   *   cleanUrls: false,
+   * });
+   *
+   * @param {Object} input
+   * @param {String|null} [input.directoryIndex] The file name used for URLs
+   * ending in `/`. Defaults to `'index.html'`. Pass `null` to disable.
+   * @param {Array<RegExp>} [input.ignoreUrlParametersMatching] Query
+   * parameters whose names match any of these patterns are ignored. Defaults
+   * to `[]`, which means no parameters are ignored.
+   * @param {boolean} [input.cleanUrls] Whether to try a `.html` variant of the
+   * URL. Defaults to `true`.
+   */
+  setPrecacheRouteOptions({directoryIndex, ignoreUrlParametersMatching,
+    cleanUrls} = {}) {
+    if (directoryIndex !== undefined) {
+      if (directoryIndex !== null) {
+        assert.isType({directoryIndex}, 'string');
+      }
+      this._precacheRouteOptions.directoryIndex = directoryIndex;
+    }
+
+    if (ignoreUrlParametersMatching !== undefined) {
+      assert.isInstance({ignoreUrlParametersMatching}, Array);
+      ignoreUrlParametersMatching.forEach((regExp) => {
+        assert.isInstance({regExp}, RegExp);
+      });
+      this._precacheRouteOptions.ignoreUrlParametersMatching =
+        ignoreUrlParametersMatching;
+    }
+
+    if (cleanUrls !== undefined) {
+      assert.isType({cleanUrls}, 'boolean');
+      this._precacheRouteOptions.cleanUrls = cleanUrls;
+    }
+  }
+
+  /**
+   * Sends messages to pages while precached assets are downloaded, so that
+   * they can show progress to the user.
+   *
+   * By default, the messages are sent with `postMessage()` to every window
+   * client, including pages that aren't controlled by the service worker yet.
+   * If a `channelName` is given, they're posted on a
+   * [BroadcastChannel](https://developers.google.com/web/updates/2016/09/broadcastchannel)
+   * with that name instead.
+   *
+   * A message is sent for every precache entry that's handled during the
+   * install step:
+   *
+   * ```
+   * {
+   *   type: 'PRECACHE_PROGRESS',
+   *   meta: 'sw-lib',
+   *   payload: {
+   *     url: 'https://example.com/styles/main.css',
+   *     failed: false,
+   *     entriesCompleted: 12,
+   *     entriesTotal: 30,
+   *     bytesDownloaded: 40960
+   *   }
+   * }
+   * ```
+   *
+   * Precached assets only become available once the service worker
+   * activates, at which point a final message is sent:
+   *
+   * ```
+   * {
+   *   type: 'PRECACHE_READY',
+   *   meta: 'sw-lib',
+   *   payload: {
+   *     cacheNames: ['sw-precaching-revisioned-v1', ...]
+   *   }
+   * }
+   * ```
+   *
+   * @example
+   * goog.swlib.broadcastPrecacheProgress();
+   *
+   * // In the page:
+   * navigator.serviceWorker.addEventListener('message', (event) => {
+   *   if (event.data.type === 'PRECACHE_PROGRESS') {
+   *     const {entriesCompleted, entriesTotal} = event.data.payload;
+   *     console.log(`Downloading offline content ` +
+   *       `${Math.round(100 * entriesCompleted / entriesTotal)}%`);
+   *   }
+   * });
+   *
+   * @param {Object} [input]
+   * @param {String} [input.channelName] The name of the `BroadcastChannel`
+   * to post messages on.
+   */
+  broadcastPrecacheProgress({channelName} = {}) {
+    this._precacheProgressChannel = null;
+    if (channelName !== undefined) {
+      assert.isType({channelName}, 'string');
+      this._precacheProgressChannel = new BroadcastChannel(channelName);
+    }
+    this._broadcastPrecacheProgress = true;
+  }
+
+  /**
+   * Looks up the revision of a revisioned asset that's currently cached.
+   *
+   * @example
+   * goog.swlib.getPrecacheRevision('/styles/main.css')
+   * .then((revision) => {
+   *   console.log(`Cached revision: ${revision}`);
+   * });
+   *
+   * @param {String} url The URL of an asset passed to
+   * [cacheRevisionedAssets()]{@link module:sw-lib.SWLib#cacheRevisionedAssets}.
+   * @return {Promise<String|undefined>} Resolves with the cached revision, or
+   * undefined if the asset isn't cached.
+   */
+  getPrecacheRevision(url) {
+    return this._getRevisionedCacheManagerForUrl(url).getRevision(url);
+  }
+
+  /**
+   * Downloads a single revisioned asset again and replaces the cached copy.
+   * This can be used to repair a broken entry without changing the manifest.
+   *
+   * @example
+   * goog.swlib.refetchPrecacheEntry('/styles/main.css');
+   *
+   * @param {String} url The URL of an asset passed to
+   * [cacheRevisionedAssets()]{@link module:sw-lib.SWLib#cacheRevisionedAssets}.
+   * @return {Promise} Resolves once the asset has been cached.
+   */
+  refetchPrecacheEntry(url) {
+    return this._getRevisionedCacheManagerForUrl(url).refetchEntry(url);
+  }
+
+  /**
+   * Removes a single revisioned asset from the cache, along with its stored
+   * revision, so that it's downloaded again on the next install.
+   *
+   * @example
+   * goog.swlib.deletePrecacheEntry('/styles/main.css');
+   *
+   * @param {String} url The URL of the asset to remove.
+   * @return {Promise<boolean>} Resolves to true if a cached response was
+   * deleted.
+   */
+  deletePrecacheEntry(url) {
+    return this._getRevisionedCacheManagerForUrl(url).deleteEntry(url);
   }
 
   /**
@@ -197,6 +537,15 @@ class SWLib {
    *   broadcastCacheUpdate: {
    *     channelName: 'example-channel-name'
    *   },
+   *   cacheableResponse: {
+   *     statuses: [0, 200, 404]
+   *   },
+   *   fetchOptions: {
+   *     credentials: 'include'
+   *   },
+   *   matchOptions: {
+   *     ignoreSearch: true
+   *   },
    *   plugins: [
    *     // Additional Plugins
    *   ]
@@ -211,10 +560,26 @@ class SWLib {
    * The maximum number of entries to store in a cache.
    * @property {Number} cacheExpiration.maxAgeSeconds
    * The maximum lifetime of a request to stay in the cache before it's removed.
+   * @property {Number} cacheExpiration.maxSizeBytes
+   * The maximum total size of the responses stored in a cache.
+   * @property {Boolean} cacheExpiration.purgeOnQuotaError
+   * Set to `true` to empty the cache, and retry the write, whenever caching a
+   * response fails because the storage quota has been exceeded.
    * @property {Object} broadcastCacheUpdate Defining
    * this object will add a broadcast cache update plugin.
    * @property {String} broadcastCacheUpdate.channelName
    * The name of the broadcast channel to dispatch messages on.
+   * @property {Object} cacheableResponse Defining this object will add a
+   * cacheable response plugin, so that only matching responses are cached.
+   * @property {Array<Number>} cacheableResponse.statuses
+   * The status codes of responses that can be cached.
+   * @property {Object<String,String>} cacheableResponse.headers
+   * The header values that a response must have to be cached.
+   * @property {Object} fetchOptions Values passed along to the `init` of all
+   * `fetch()` requests made by this strategy, like `credentials` or `mode`.
+   * @property {Object} matchOptions Values passed along to the `options` of
+   * all cache `match()` requests made by this strategy, like `ignoreSearch`
+   * or `ignoreVary`.
    * @property {Array<plugins>} plugins For
    * any additional plugins you wish to add, simply include them in this
    * array.
@@ -264,13 +629,23 @@ class SWLib {
    *
    * goog.swlib.router.addRoute('/blog/', networkFirstStrategy);
    *
+   * @example <caption>Falling back to the cache after a network
+   * timeout.</caption>
+   * const networkFirstStrategy = goog.swlib.networkFirst({
+   *   networkTimeoutSeconds: 3,
+   * });
+   *
    * @param {module:sw-lib.SWLib.RuntimeStrategyOptions} [options] To define
    * any additional caching or broadcast plugins pass in option values.
+   * @param {Number} [options.networkTimeoutSeconds] If the network doesn't
+   * respond within this many seconds, a cached response will be used instead.
    * @return {module:sw-runtime-caching.NetworkFirst} The caching handler
    * instance.
    */
-  networkFirst(options) {
-    return this._getCachingMechanism(NetworkFirst, options);
+  networkFirst(options = {}) {
+    const {networkTimeoutSeconds} = options;
+    return this._getCachingMechanism(NetworkFirst, options,
+      {networkTimeoutSeconds});
   }
 
   /**
@@ -316,11 +691,14 @@ class SWLib {
    * @private
    * @param {Class} HandlerClass The class to be configured and instantiated.
    * @param {Object} [options] Options to configure the handler.
+   * @param {Object} [handlerOptions] Additional options that are passed
+   * directly to the handler's constructor.
    * @return {Handler} A handler instance configured with the appropriate
    * behaviours
    */
-  _getCachingMechanism(HandlerClass, options = {}) {
+  _getCachingMechanism(HandlerClass, options = {}, handlerOptions = {}) {
     const pluginParamsToClass = {
+      'cacheableResponse': CacheableResponsePlugin,
       'cacheExpiration': CacheExpirationPlugin,
       'broadcastCacheUpdate': BroadcastCacheUpdatePlugin,
     };
@@ -329,9 +707,11 @@ class SWLib {
       plugins: [],
     };
 
-    if (options['cacheName']) {
-      wrapperOptions['cacheName'] = options['cacheName'];
-    }
+    ['cacheName', 'fetchOptions', 'matchOptions'].forEach((wrapperOption) => {
+      if (options[wrapperOption]) {
+        wrapperOptions[wrapperOption] = options[wrapperOption];
+      }
+    });
 
     // Iterate over known plugins and add them to Request Wrapper options.
     const pluginKeys = Object.keys(pluginParamsToClass);
@@ -351,28 +731,238 @@ class SWLib {
       });
     }
 
-    return new HandlerClass({
+    return new HandlerClass(Object.assign({
       requestWrapper: new RequestWrapper(wrapperOptions),
+    }, handlerOptions));
+  }
+
+  /**
+   * Returns the revisioned cache manager for a cache, creating it if it
+   * doesn't exist yet.
+   *
+   * @private
+   * @param {String} [cacheName] The name of the cache. Defaults to the
+   * default revisioned cache.
+   * @return {RevisionedCacheManager} The cache manager for the cache.
+   */
+  _getRevisionedCacheManager(cacheName) {
+    if (typeof cacheName === 'undefined') {
+      return this._revisionedCacheManager;
+    }
+
+    assert.isType({cacheName}, 'string');
+    if (!this._revisionedCacheManagers.has(cacheName)) {
+      this._revisionedCacheManagers.set(cacheName,
+        new RevisionedCacheManager({cacheName}));
+    }
+    return this._revisionedCacheManagers.get(cacheName);
+  }
+
+  /**
+   * Throws if any of the URLs, or the group name, have already been added to
+   * a revisioned cache other than `cacheName`, so that each URL and group can
+   * be found in exactly one cache.
+   *
+   * Entries that can't be parsed are skipped here, and left for the cache
+   * manager to report.
+   *
+   * @private
+   * @param {Object} input
+   * @param {String} [input.cacheName] The cache the entries are being added
+   * to. Defaults to the default revisioned cache.
+   * @param {Array<String|Object>} input.revisionedFiles The entries.
+   * @param {String} [input.groupName] The group the entries are being added
+   * to, if any.
+   */
+  _assertNotInOtherCaches({cacheName, revisionedFiles, groupName}) {
+    if (typeof cacheName === 'undefined') {
+      cacheName = this._revisionedCacheManager.getCacheName();
+    }
+
+    const urls = revisionedFiles
+      .map((entry) => typeof entry === 'string' ? entry : entry && entry.url)
+      .filter((url) => typeof url === 'string')
+      .map((url) => new URL(url, location).href);
+
+    this._revisionedCacheManagers.forEach((otherCacheManager, otherName) => {
+      if (otherName === cacheName) {
+        return;
+      }
+
+      const duplicateUrl = urls.find((url) => {
+        return otherCacheManager.getCachedUrls().indexOf(url) !== -1 ||
+          otherCacheManager.getGroupForUrl(url) !== null;
+      });
+      if (duplicateUrl) {
+        throw ErrorFactory.createError('duplicate-precache-entry',
+          new Error(`'${duplicateUrl}' is already in '${otherName}'.`));
+      }
+
+      if (typeof groupName !== 'undefined' &&
+        otherCacheManager.getGroupUrls(groupName).length > 0) {
+        throw ErrorFactory.createError('duplicate-precache-entry',
+          new Error(`The group '${groupName}' is already in ` +
+            `'${otherName}'.`));
+      }
     });
   }
 
+  /**
+   * Finds the revisioned cache manager that a URL was added to.
+   *
+   * @private
+   * @param {String} url The URL to look up.
+   * @return {RevisionedCacheManager} The cache manager with the URL in its
+   * cache list, or the default cache manager if none of them have it.
+   */
+  _getRevisionedCacheManagerForUrl(url) {
+    const absoluteUrl = new URL(url, location).href;
+    for (let cacheManager of this._revisionedCacheManagers.values()) {
+      if (cacheManager.getCachedUrls().indexOf(absoluteUrl) !== -1 ||
+        cacheManager.getGroupForUrl(absoluteUrl) !== null) {
+        return cacheManager;
+      }
+    }
+    return this._revisionedCacheManager;
+  }
+
+  /**
+   * Returns every cache manager, revisioned ones first.
+   *
+   * @private
+   * @return {Array<BaseCacheManager>} The cache managers.
+   */
+  _getCacheManagers() {
+    return Array.from(this._revisionedCacheManagers.values())
+      .concat(this._unrevisionedCacheManager);
+  }
+
   /**
    * This method will register listeners for the install and activate events.
    * @private
    */
   _registerInstallActivateEvents() {
     self.addEventListener('install', (event) => {
-      event.waitUntil(Promise.all([
-        this._revisionedCacheManager.install(),
-        this._unrevisionedCacheManager.install(),
-      ]));
+      event.waitUntil(this._installPrecaches());
     });
 
     self.addEventListener('activate', (event) => {
-      event.waitUntil(Promise.all([
-        this._revisionedCacheManager.cleanup(),
-        this._unrevisionedCacheManager.cleanup(),
-      ]));
+      const cacheManagers = this._getCacheManagers();
+      event.waitUntil(Promise.all(
+        cacheManagers.map((cacheManager) => cacheManager.cleanup())
+      )
+      .then(() => {
+        if (!this._broadcastPrecacheProgress) {
+          return;
+        }
+
+        return this._postPrecacheMessage(precacheReadyMessageType, {
+          cacheNames: cacheManagers.map(
+            (cacheManager) => cacheManager.getCacheName()),
+        });
+      }));
+    });
+  }
+
+  /**
+   * This method will register a listener for messages from pages asking for
+   * a precache group to be downloaded.
+   * @private
+   */
+  _registerMessageListener() {
+    self.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== loadPrecacheGroupMessageType) {
+        return;
+      }
+
+      const {groupName} = event.data.payload || {};
+      const replyPort = event.ports && event.ports[0];
+      const reply = (message) => {
+        if (replyPort) {
+          replyPort.postMessage(Object.assign({
+            type: precacheGroupLoadedMessageType,
+            meta: messageSource,
+          }, message));
+        }
+      };
+
+      event.waitUntil(Promise.resolve()
+      .then(() => this.cachePrecacheGroup(groupName))
+      .then(() => {
+        reply({payload: {groupName}});
+      }, (err) => {
+        reply({error: true, payload: {groupName, message: err.message}});
+      }));
+    });
+  }
+
+  /**
+   * Installs the revisioned and unrevisioned precaches, reporting their
+   * combined progress if `broadcastPrecacheProgress()` has been called.
+   *
+   * @private
+   * @return {Promise} Resolves once every cache manager is installed.
+   */
+  _installPrecaches() {
+    const cacheManagers = this._getCacheManagers();
+    const installOptions = cacheManagers.map((cacheManager) => {
+      return Object.assign({},
+        this._installOptions.get(cacheManager.getCacheName()));
+    });
+
+    if (this._broadcastPrecacheProgress) {
+      const entriesTotal = cacheManagers.reduce((total, cacheManager) => {
+        return total + cacheManager.getCachedUrls().length;
+      }, 0);
+      const managerProgress = cacheManagers.map(() => {
+        return {entriesCompleted: 0, bytesDownloaded: 0};
+      });
+      const sum = (key) => managerProgress.reduce(
+        (total, progress) => total + progress[key], 0);
+      const onProgress = (index) => {
+        return ({url, failed, entriesCompleted, bytesDownloaded}) => {
+          managerProgress[index] = {entriesCompleted, bytesDownloaded};
+          this._postPrecacheMessage(precacheProgressMessageType, {
+            url,
+            failed,
+            entriesCompleted: sum('entriesCompleted'),
+            entriesTotal,
+            bytesDownloaded: sum('bytesDownloaded'),
+          });
+        };
+      };
+      installOptions.forEach((options, index) => {
+        options.onProgress = onProgress(index);
+      });
+    }
+
+    return Promise.all(cacheManagers.map((cacheManager, index) => {
+      return cacheManager.install(installOptions[index]);
+    }));
+  }
+
+  /**
+   * Sends a message on the configured `BroadcastChannel`, or to every window
+   * client if there isn't one.
+   *
+   * @private
+   * @param {string} type The message type.
+   * @param {Object} payload The message payload.
+   * @return {Promise} Resolves once the message has been posted.
+   */
+  _postPrecacheMessage(type, payload) {
+    const message = {type, meta: messageSource, payload};
+    if (this._precacheProgressChannel) {
+      this._precacheProgressChannel.postMessage(message);
+      return Promise.resolve();
+    }
+
+    return self.clients.matchAll({
+      includeUncontrolled: true,
+      type: 'window',
+    })
+    .then((windowClients) => {
+      windowClients.forEach((client) => client.postMessage(message));
     });
   }
 
@@ -381,19 +971,98 @@ class SWLib {
    * @private
    */
   _registerDefaultRoutes() {
-    const cacheFirstHandler = this.cacheFirst({
-      cacheName: this._revisionedCacheManager.getCacheName(),
-    });
+    const requestWrappers = new Map();
+    const getRequestWrapper = (cacheName) => {
+      if (!requestWrappers.has(cacheName)) {
+        requestWrappers.set(cacheName, new RequestWrapper({cacheName}));
+      }
+      return requestWrappers.get(cacheName);
+    };
 
     const route = new this.Route({
-      match: ({url, event}) => {
-        const cachedUrls = this._revisionedCacheManager.getCachedUrls();
-        return cachedUrls.indexOf(url.href) !== -1;
+      match: ({url}) => this._getPrecachedUrl(url),
+      handler: {
+        handle: ({event, params}) => {
+          const cacheManager = this._getRevisionedCacheManagerForUrl(params);
+          const requestWrapper = getRequestWrapper(
+            cacheManager.getCacheName());
+          return requestWrapper.match({request: params})
+            .then((cachedResponse) => {
+              if (cachedResponse) {
+                return cachedResponse;
+              }
+
+              const groupName = cacheManager.getGroupForUrl(params);
+              if (groupName) {
+                // Download the rest of the group in the background, while
+                // this request goes to the network.
+                event.waitUntil(this.cachePrecacheGroup(groupName)
+                  .catch(() => {}));
+              }
+              return requestWrapper.fetch({request: event.request});
+            });
+        },
       },
-      handler: cacheFirstHandler,
     });
     this.router.registerRoute(route);
   }
+
+  /**
+   * Finds the precached URL that should be used to respond to a request for
+   * `url`, taking the options passed to `setPrecacheRouteOptions()` into
+   * account.
+   *
+   * @private
+   * @param {URL} url The URL of the request.
+   * @return {String|undefined} The matching precached URL, or `undefined` if
+   * there isn't one.
+   */
+  _getPrecachedUrl(url) {
+    const {directoryIndex, ignoreUrlParametersMatching, cleanUrls} =
+      this._precacheRouteOptions;
+    const cacheManagers = Array.from(this._revisionedCacheManagers.values());
+
+    const strippedUrl = new URL(url.href);
+    strippedUrl.hash = '';
+    strippedUrl.search = url.search.slice(1).split('&')
+      .filter((param) => {
+        if (param.length === 0) {
+          return false;
+        }
+        let paramName = param.split('=')[0];
+        try {
+          paramName = decodeURIComponent(paramName);
+        } catch (err) {
+          // A malformed escape sequence shouldn't break the fetch handler, so
+          // match against the raw name instead.
+        }
+        return !ignoreUrlParametersMatching.some((regExp) => {
+          return regExp.test(paramName);
+        });
+      })
+      .join('&');
+
+    const candidateUrls = [url.href, strippedUrl.href];
+
+    if (directoryIndex && strippedUrl.pathname.endsWith('/')) {
+      const directoryIndexUrl = new URL(strippedUrl.href);
+      directoryIndexUrl.pathname += directoryIndex;
+      candidateUrls.push(directoryIndexUrl.href);
+    }
+
+    if (cleanUrls && !strippedUrl.pathname.endsWith('/')) {
+      const cleanUrl = new URL(strippedUrl.href);
+      cleanUrl.pathname += '.html';
+      candidateUrls.push(cleanUrl.href);
+    }
+
+    return candidateUrls.find((candidateUrl) => {
+      return cacheManagers.some((cacheManager) => {
+        return cacheManager.getCachedUrls().indexOf(candidateUrl) !== -1 ||
+          cacheManager.getGroupForUrl(candidateUrl) !== null;
+      });
+    });
+  }
 }
 
 export default SWLib;
@@ -84,4 +84,296 @@ describe('Test swlib.cacheRevisionedAssets', function() {
     goog.swlib.cacheRevisionedAssets(validAssets1);
     goog.swlib.cacheRevisionedAssets(validAssets2);
   });
+
+  it('should store install options passed to cacheRevisionedAssets()', function() {
+    goog.swlib.cacheRevisionedAssets([], {maxConcurrentRequests: 4});
+    goog.swlib.cacheRevisionedAssets([], {maxRetries: 2});
+
+    goog.swlib._installOptions.get(
+      goog.swlib._revisionedCacheManager.getCacheName()).should.deep.equal({
+      maxConcurrentRequests: 4,
+      maxRetries: 2,
+    });
+  });
+
+  it('should store install options passed to warmRuntimeCache()', function() {
+    goog.swlib.warmRuntimeCache([], {maxConcurrentRequests: 2, maxRetries: 1});
+
+    goog.swlib._installOptions.get(
+      goog.swlib._unrevisionedCacheManager.getCacheName()).should.deep.equal({
+      maxConcurrentRequests: 2,
+      maxRetries: 1,
+    });
+    goog.swlib._installOptions.get(
+      goog.swlib._revisionedCacheManager.getCacheName()).maxConcurrentRequests
+      .should.not.equal(2);
+  });
+
+  it('should throw on invalid install options', function() {
+    expect(() => {
+      goog.swlib.cacheRevisionedAssets([], {maxRetries: '2'});
+    }).to.throw('maxRetries');
+    expect(() => {
+      goog.swlib.warmRuntimeCache([], {retryDelaySeconds: '1'});
+    }).to.throw('retryDelaySeconds');
+  });
+
+  describe('precache route matching', function() {
+    const origin = self.location.origin;
+
+    before(function() {
+      goog.swlib.cacheRevisionedAssets([
+        {url: '/precache-matching/index.html', revision: '1234'},
+        {url: '/precache-matching/about.html', revision: '1234'},
+        {url: '/precache-matching/search?q=kept', revision: '1234'},
+      ]);
+    });
+
+    afterEach(function() {
+      goog.swlib.setPrecacheRouteOptions({
+        directoryIndex: 'index.html',
+        ignoreUrlParametersMatching: [],
+        cleanUrls: true,
+      });
+    });
+
+    const getPrecachedUrl = (path) => {
+      return goog.swlib._getPrecachedUrl(new URL(path, origin));
+    };
+
+    it('should match exact URLs', function() {
+      expect(getPrecachedUrl('/precache-matching/about.html'))
+        .to.equal(`${origin}/precache-matching/about.html`);
+      expect(getPrecachedUrl('/precache-matching/search?q=kept'))
+        .to.equal(`${origin}/precache-matching/search?q=kept`);
+    });
+
+    it('should not ignore any query parameters by default', function() {
+      expect(getPrecachedUrl('/precache-matching/about.html?utm_source=x'))
+        .to.not.exist;
+    });
+
+    it('should ignore query parameters matching ignoreUrlParametersMatching', function() {
+      goog.swlib.setPrecacheRouteOptions({
+        ignoreUrlParametersMatching: [/^utm_/],
+      });
+
+      expect(getPrecachedUrl('/precache-matching/about.html?utm_source=x'))
+        .to.equal(`${origin}/precache-matching/about.html`);
+      expect(getPrecachedUrl('/precache-matching/search?utm_medium=y&q=kept'))
+        .to.equal(`${origin}/precache-matching/search?q=kept`);
+      expect(getPrecachedUrl('/precache-matching/about.html?other=x'))
+        .to.not.exist;
+    });
+
+    it('should not throw on malformed query parameters', function() {
+      goog.swlib.setPrecacheRouteOptions({
+        ignoreUrlParametersMatching: [/^utm_/],
+      });
+
+      expect(getPrecachedUrl('/precache-matching/about.html?%E0=1'))
+        .to.not.exist;
+    });
+
+    it('should use the directory index for URLs ending in /', function() {
+      expect(getPrecachedUrl('/precache-matching/'))
+        .to.equal(`${origin}/precache-matching/index.html`);
+      expect(getPrecachedUrl('/precache-matching/?utm_campaign=z'))
+        .to.not.exist;
+    });
+
+    it('should try a .html variant for clean URLs', function() {
+      expect(getPrecachedUrl('/precache-matching/about'))
+        .to.equal(`${origin}/precache-matching/about.html`);
+    });
+
+    it('should respect the options passed to setPrecacheRouteOptions()', function() {
+      goog.swlib.setPrecacheRouteOptions({
+        directoryIndex: null,
+        ignoreUrlParametersMatching: [/^ref$/],
+        cleanUrls: false,
+      });
+
+      expect(getPrecachedUrl('/precache-matching/')).to.not.exist;
+      expect(getPrecachedUrl('/precache-matching/about')).to.not.exist;
+      expect(getPrecachedUrl('/precache-matching/about.html?utm_source=x'))
+        .to.not.exist;
+      expect(getPrecachedUrl('/precache-matching/about.html?ref=x'))
+        .to.equal(`${origin}/precache-matching/about.html`);
+    });
+
+    it('should throw when setPrecacheRouteOptions() is given bad input', function() {
+      expect(() => goog.swlib.setPrecacheRouteOptions({directoryIndex: 123}))
+        .to.throw();
+      expect(() => goog.swlib.setPrecacheRouteOptions({
+        ignoreUrlParametersMatching: ['utm_'],
+      })).to.throw();
+      expect(() => goog.swlib.setPrecacheRouteOptions({cleanUrls: 'yes'}))
+        .to.throw();
+    });
+  });
+
+  describe('precache progress', function() {
+    afterEach(function() {
+      goog.swlib._broadcastPrecacheProgress = false;
+      goog.swlib._precacheProgressChannel = null;
+    });
+
+    it('should throw on a non-string channelName', function() {
+      expect(() => {
+        goog.swlib.broadcastPrecacheProgress({channelName: 123});
+      }).to.throw('channelName');
+    });
+
+    it('should post messages on the BroadcastChannel', function() {
+      const channelName = 'precache-progress-test';
+      const listeningChannel = new BroadcastChannel(channelName);
+      const messagePromise = new Promise((resolve) => {
+        listeningChannel.onmessage = (event) => resolve(event.data);
+      });
+
+      goog.swlib.broadcastPrecacheProgress({channelName});
+      goog.swlib._postPrecacheMessage('PRECACHE_PROGRESS', {
+        entriesCompleted: 1,
+        entriesTotal: 2,
+      });
+
+      return messagePromise.then((message) => {
+        listeningChannel.close();
+        message.should.deep.equal({
+          type: 'PRECACHE_PROGRESS',
+          meta: 'sw-lib',
+          payload: {entriesCompleted: 1, entriesTotal: 2},
+        });
+      });
+    });
+  });
+
+  describe('individual precache entries', function() {
+    it('should refetch, look up and delete a revisioned asset', function() {
+      const testUrl = '/__echo/date/swlib-runtime-entry.txt';
+      goog.swlib.cacheRevisionedAssets([
+        {url: testUrl, revision: '4321'},
+      ]);
+
+      return goog.swlib.refetchPrecacheEntry(testUrl)
+      .then(() => goog.swlib.getPrecacheRevision(testUrl))
+      .then((revision) => {
+        revision.should.equal('4321');
+        return goog.swlib.deletePrecacheEntry(testUrl);
+      })
+      .then((deleted) => {
+        deleted.should.equal(true);
+        return goog.swlib.getPrecacheRevision(testUrl);
+      })
+      .then((revision) => {
+        expect(revision).to.not.exist;
+      });
+    });
+  });
+
+  describe('precache groups', function() {
+    it('should match requests for URLs in a group', function() {
+      goog.swlib.addPrecacheGroup('swlib-lazy-group', [
+        {url: '/precache-group/help.html', revision: '1234'},
+      ]);
+
+      expect(goog.swlib._getPrecachedUrl(
+        new URL('/precache-group/help', self.location.origin)))
+        .to.equal(`${self.location.origin}/precache-group/help.html`);
+    });
+
+    it('should throw when adding a group without an array', function() {
+      let thrownError = null;
+      try {
+        goog.swlib.addPrecacheGroup('swlib-bad-group', '/help.html');
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.exist;
+      thrownError.name.should.equal('bad-revisioned-cache-list');
+    });
+
+    it('should reject when caching an unknown group', function() {
+      return goog.swlib.cachePrecacheGroup('swlib-unknown-group')
+      .then(() => {
+        throw new Error('Expected an error.');
+      }, (err) => {
+        err.name.should.equal('unknown-precache-group');
+      });
+    });
+  });
+
+  describe('multiple revisioned caches', function() {
+    it('should add assets to the cache named in the options', function() {
+      const cacheName = 'swlib-second-precache';
+      const testUrl = `${self.location.origin}/second-precache/app.js`;
+      goog.swlib.cacheRevisionedAssets([
+        {url: testUrl, revision: '1234'},
+      ], {cacheName});
+
+      const cacheManager = goog.swlib._getRevisionedCacheManagerForUrl(testUrl);
+      cacheManager.getCacheName().should.equal(cacheName);
+      cacheManager.should.not.equal(goog.swlib._revisionedCacheManager);
+      goog.swlib._revisionedCacheManager.getCachedUrls()
+        .should.not.include(testUrl);
+      expect(goog.swlib._getPrecachedUrl(new URL(testUrl))).to.equal(testUrl);
+    });
+
+    it('should keep install options separate for each cache', function() {
+      const cacheName = 'swlib-options-precache';
+      goog.swlib.cacheRevisionedAssets([], {cacheName, maxRetries: 7});
+
+      goog.swlib._installOptions.get(cacheName).should.deep.equal({
+        maxRetries: 7,
+      });
+      goog.swlib._installOptions.get(
+        goog.swlib._revisionedCacheManager.getCacheName()).maxRetries
+        .should.not.equal(7);
+    });
+
+    it('should throw when a URL is added to a second cache', function() {
+      const testUrl = `${self.location.origin}/duplicate-precache/app.js`;
+      goog.swlib.cacheRevisionedAssets([
+        {url: testUrl, revision: '1234'},
+      ], {cacheName: 'swlib-first-duplicate-precache'});
+
+      let thrownError = null;
+      try {
+        goog.swlib.addPrecacheGroup('swlib-duplicate-url-group', [
+          {url: testUrl, revision: '1234'},
+        ], {cacheName: 'swlib-second-duplicate-precache'});
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.exist;
+      thrownError.name.should.equal('duplicate-precache-entry');
+      goog.swlib._getRevisionedCacheManagerForUrl(testUrl).getCacheName()
+        .should.equal('swlib-first-duplicate-precache');
+    });
+
+    it('should throw when a group name is used with a second cache', function() {
+      const groupName = 'swlib-duplicate-group';
+      goog.swlib.addPrecacheGroup(groupName, [
+        {url: '/duplicate-group/first.html', revision: '1234'},
+      ], {cacheName: 'swlib-first-group-precache'});
+
+      let thrownError = null;
+      try {
+        goog.swlib.addPrecacheGroup(groupName, [
+          {url: '/duplicate-group/second.html', revision: '1234'},
+        ], {cacheName: 'swlib-second-group-precache'});
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.exist;
+      thrownError.name.should.equal('duplicate-precache-entry');
+    });
+
+    it('should throw on a non-string cacheName', function() {
+      expect(() => {
+        goog.swlib.cacheRevisionedAssets([], {cacheName: 123});
+      }).to.throw('cacheName');
+    });
+  });
 });
@@ -91,5 +91,34 @@ describe('Test caching strategies.', function() {
       expect(handler.requestWrapper.pluginCallbacks.cacheDidUpdate).to.exist;
       handler.requestWrapper.pluginCallbacks.cacheDidUpdate.length.should.equal(1);
     });
+
+    it(`should return a Handler when '${strategy}' is instantiated with cacheableResponse options`, function() {
+      const handler = goog.swlib[strategy]({
+        cacheableResponse: {statuses: [0, 200]},
+      });
+      expect(handler.requestWrapper.pluginCallbacks.cacheWillUpdate).to.exist;
+      handler.requestWrapper.pluginCallbacks.cacheWillUpdate.length.should.equal(1);
+    });
+
+    it(`should pass fetchOptions and matchOptions through when '${strategy}' is instantiated`, function() {
+      const fetchOptions = {credentials: 'include', mode: 'cors'};
+      const matchOptions = {ignoreSearch: true};
+      const handler = goog.swlib[strategy]({fetchOptions, matchOptions});
+      handler.requestWrapper.fetchOptions.should.deep.equal(fetchOptions);
+      handler.requestWrapper.matchOptions.should.deep.equal(matchOptions);
+    });
+  });
+
+  it(`should pass networkTimeoutSeconds through to the networkFirst handler`, function() {
+    const networkTimeoutSeconds = 3;
+    const handler = goog.swlib.networkFirst({networkTimeoutSeconds});
+    expect(handler.handle).to.exist;
+    handler.networkTimeoutSeconds.should.equal(networkTimeoutSeconds);
+  });
+
+  it(`should throw when networkFirst is given a non-numeric networkTimeoutSeconds`, function() {
+    expect(() => {
+      goog.swlib.networkFirst({networkTimeoutSeconds: 'invalid'});
+    }).to.throw();
   });
 });
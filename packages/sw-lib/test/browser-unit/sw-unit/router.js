@@ -89,6 +89,28 @@ describe('Test swlib.router', function() {
     });
   });
 
+  it('should be able to register a valid cross-origin express route', function() {
+    const expressRoute = 'https://:subdomain.example.com/assets/:file';
+    const exampleRoute = 'https://cdn.example.com/assets/app.js';
+
+    return new Promise((resolve, reject) => {
+      const route = goog.swlib.router.registerRoute(expressRoute, (args) => {
+        args.url.toString().should.equal(exampleRoute);
+        Object.keys(args.params).length.should.equal(2);
+        args.params.subdomain.should.equal('cdn');
+        args.params.file.should.equal('app.js');
+        goog.swlib.router.unregisterRoute(route);
+
+        resolve();
+      });
+      const fetchEvent = new FetchEvent('fetch', {
+        request: new Request(exampleRoute),
+      });
+
+      self.dispatchEvent(fetchEvent);
+    });
+  });
+
   it('should be able to register a valid regex route', function() {
     const capturingGroup = 'test';
     const regexRoute = /\/1234567890\/(\w+)\//;
@@ -112,11 +134,11 @@ describe('Test swlib.router', function() {
   });
 
   it('should be able to register a valid Route instance route', function() {
-    const exampleRoute = `/1234567890/test/`;
+    const exampleRoute = `/route-instance/test/`;
 
     return new Promise((resolve, reject) => {
       const routeInstance = new goog.swlib.Route({
-        match: (url) => true,
+        match: ({url}) => url.pathname === exampleRoute,
         handler: {
           handle: (args) => {
             (args.event instanceof FetchEvent).should.equal(true);
@@ -135,4 +157,103 @@ describe('Test swlib.router', function() {
       self.dispatchEvent(fetchEvent);
     });
   });
+
+  it('should return the registered Route from registerRoute()', function() {
+    const route = goog.swlib.router.registerRoute(
+      '/return-value/test/', () => {});
+    (route instanceof goog.swlib.Route).should.equal(true);
+    goog.swlib.router.unregisterRoute(route);
+  });
+
+  it('should use the first matching route across multiple registrations', function() {
+    const exampleRoute = `/priority/test/`;
+
+    return new Promise((resolve, reject) => {
+      const firstRoute = goog.swlib.router.registerRoute(exampleRoute, () => {
+        goog.swlib.router.unregisterRoute(firstRoute);
+        goog.swlib.router.unregisterRoute(secondRoute);
+        resolve();
+      });
+      const secondRoute = goog.swlib.router.registerRoute(exampleRoute, () => {
+        reject(new Error('The second route should not have been used.'));
+      });
+
+      const fetchEvent = new FetchEvent('fetch', {
+        request: new Request(self.location.origin + exampleRoute),
+      });
+
+      self.dispatchEvent(fetchEvent);
+    });
+  });
+
+  it('should not use a route once it has been unregistered', function() {
+    const exampleRoute = `/unregister/test/`;
+
+    return new Promise((resolve, reject) => {
+      const unregisteredRoute = goog.swlib.router.registerRoute(
+        exampleRoute, () => {
+          reject(new Error('The unregistered route should not be used.'));
+        });
+      goog.swlib.router.unregisterRoute(unregisteredRoute);
+
+      const replacementRoute = goog.swlib.router.registerRoute(
+        exampleRoute, () => {
+          goog.swlib.router.unregisterRoute(replacementRoute);
+          resolve();
+        });
+
+      const fetchEvent = new FetchEvent('fetch', {
+        request: new Request(self.location.origin + exampleRoute),
+      });
+
+      self.dispatchEvent(fetchEvent);
+    });
+  });
+
+  it('should be able to register a route with a specific method', function() {
+    const exampleRoute = `/method/test/`;
+
+    return new Promise((resolve, reject) => {
+      const getRoute = goog.swlib.router.registerRoute(exampleRoute, () => {
+        reject(new Error('The GET route should not have been used.'));
+      });
+      const patchRoute = goog.swlib.router.registerRoute(exampleRoute, (args) => {
+        args.event.request.method.should.equal('PATCH');
+        goog.swlib.router.unregisterRoute(getRoute);
+        goog.swlib.router.unregisterRoute(patchRoute);
+        resolve();
+      }, ['PATCH', 'OPTIONS']);
+
+      const fetchEvent = new FetchEvent('fetch', {
+        request: new Request(self.location.origin + exampleRoute, {
+          method: 'PATCH',
+        }),
+      });
+
+      self.dispatchEvent(fetchEvent);
+    });
+  });
+
+  it('should throw when registering a route with an invalid method', function() {
+    expect(() => {
+      goog.swlib.router.registerRoute('/invalid-method/', () => {}, 'INVALID');
+    }).to.throw();
+  });
+
+  it('should throw when registerNavigationRoute() is called without a URL', function() {
+    expect(() => {
+      goog.swlib.router.registerNavigationRoute();
+    }).to.throw();
+  });
+
+  it('should be able to register a navigation route', function() {
+    const route = goog.swlib.router.registerNavigationRoute('/app-shell.html', {
+      whitelist: [/^\/app\//],
+      blacklist: [/^\/app\/admin\//],
+    });
+    expect(route.whitelist).to.eql([/^\/app\//]);
+    expect(route.blacklist).to.eql([/^\/app\/admin\//]);
+    expect(route.handler.handle).to.exist;
+    goog.swlib.router.unregisterRoute(route);
+  });
 });
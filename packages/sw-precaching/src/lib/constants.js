@@ -18,6 +18,13 @@ export const version = 'v1';
 export const dbName = 'sw-precaching';
 export const dbVersion = '1';
 export const dbStorename = 'asset-revisions';
+export const temporaryCacheSuffix = '-temp';
+// Listed from weakest to strongest.
+export const integrityAlgorithms = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+};
 
 let tmpRevisionedCacheName = `sw-precaching-revisioned-${version}`;
 if (self && self.registration) {
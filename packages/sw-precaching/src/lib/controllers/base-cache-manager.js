@@ -1,4 +1,5 @@
 import ErrorFactory from '../error-factory';
+import assert from '../../../../../lib/assert';
 import {RequestWrapper} from '../../../../sw-runtime-caching/src/index';
 /**
  * This class handles the shared logic for caching revisioned and unrevisioned
@@ -97,54 +98,301 @@ class BaseCacheManager {
    * Manages the service worker install event and caches the revisioned
    * assets.
    *
+   * Every entry is attempted, even if some of them fail, and a single
+   * `request-not-cached` error is thrown at the end. The URLs that couldn't
+   * be cached are listed in the error message and in `error.failedUrls`.
+   *
+   * @param {Object} [input]
+   * @param {Number} [input.maxConcurrentRequests] The maximum number of
+   * entries that will be fetched in parallel. Defaults to fetching every
+   * entry at once.
+   * @param {Number} [input.maxRetries] The number of times a failed entry
+   * will be retried before giving up. Defaults to 0.
+   * @param {Number} [input.retryDelaySeconds] The delay before the first
+   * retry of an entry. The delay doubles with each subsequent retry.
+   * Defaults to 1.
+   * @param {Function} [input.onProgress] Called each time an entry has been
+   * handled, whether it was downloaded, already cached or failed. It's passed
+   * an object with `cacheName`, `url`, `entriesCompleted`, `entriesTotal`,
+   * `bytesDownloaded` and `failed` properties.
    * @return {Promise} The promise resolves when all the desired assets are
    * cached.
    */
-  async install() {
+  async install({maxConcurrentRequests, maxRetries = 0,
+    retryDelaySeconds = 1, onProgress} = {}) {
+    if (maxConcurrentRequests !== undefined) {
+      assert.isType({maxConcurrentRequests}, 'number');
+    }
+    assert.isType({maxRetries}, 'number');
+    assert.isType({retryDelaySeconds}, 'number');
+    if (onProgress !== undefined) {
+      assert.isType({onProgress}, 'function');
+    }
+
     if (this._entriesToCache.size === 0) {
       return;
     }
 
-    const cachePromises = [];
-    this._entriesToCache.forEach((precacheEntry) => {
-      cachePromises.push(
-        this._cacheEntry(precacheEntry)
-      );
-    });
+    const pendingEntries = Array.from(this._entriesToCache.values());
+    const entriesTotal = pendingEntries.length;
+    const failedEntries = [];
+    let entriesCompleted = 0;
+    let bytesDownloaded = 0;
+    const cacheNextEntry = async () => {
+      while (pendingEntries.length > 0) {
+        const precacheEntry = pendingEntries.shift();
+        let failed = false;
+        let response;
+        try {
+          response = await this._cacheEntry(precacheEntry,
+            {maxRetries, retryDelaySeconds});
+        } catch (err) {
+          failed = true;
+          failedEntries.push({precacheEntry, err});
+        }
+
+        if (onProgress && response) {
+          // The entry is already cached at this point, so failing to read
+          // its size only affects the reported progress.
+          const size = await this._getResponseSize(response).catch(() => 0);
+          bytesDownloaded += size;
+        }
+
+        entriesCompleted++;
+        if (onProgress) {
+          onProgress({
+            cacheName: this._cacheName,
+            url: precacheEntry.request.url,
+            entriesCompleted,
+            entriesTotal,
+            bytesDownloaded,
+            failed,
+          });
+        }
+      }
+    };
+
+    const workerCount = Math.min(pendingEntries.length,
+      Math.max(1, maxConcurrentRequests || pendingEntries.length));
+    const workers = [];
+    for (let i = 0; i < workerCount; i++) {
+      workers.push(cacheNextEntry());
+    }
 
     // Wait for all requests to be cached.
-    return Promise.all(cachePromises);
+    return Promise.all(workers).then(() => {
+      if (failedEntries.length === 0) {
+        return;
+      }
+
+      const error = ErrorFactory.createError('request-not-cached', {
+        message: `Failed to get a cacheable response for ` +
+          failedEntries.map(({precacheEntry, err}) => {
+            return `'${precacheEntry.request.url}' (${err.message})`;
+          }).join(', '),
+      });
+      error.failedUrls = failedEntries.map(
+        ({precacheEntry}) => precacheEntry.request.url);
+      throw error;
+    });
   }
 
   /**
    * Requests the entry and saves it to the cache if the response
-   * is valid.
+   * is valid. Failed requests are retried with an exponential backoff.
    *
    * @private
    * @param {BaseCacheEntry} precacheEntry The entry to fetch and cache.
-   * @return {Promise} Returns a promise that resolves once the entry is fetched
-   * and cached.
+   * @param {Object} input
+   * @param {Number} input.maxRetries The number of times to retry the entry.
+   * @param {Number} input.retryDelaySeconds The delay before the first retry.
+   * @return {Promise<Response|undefined>} Returns a promise that resolves
+   * with the network response once the entry is fetched and cached, or with
+   * `undefined` if the entry was already cached.
    */
-  async _cacheEntry(precacheEntry) {
+  async _cacheEntry(precacheEntry, {maxRetries, retryDelaySeconds}) {
     const isCached = await this._isAlreadyCached(precacheEntry);
     if (isCached) {
       return;
     }
 
-    try {
-      await this._requestWrapper.fetchAndCache({
-        request: precacheEntry.getNetworkRequest(),
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this._fetchAndCacheEntry(precacheEntry);
+
+        await this._onEntryCached(precacheEntry);
+        return response;
+      } catch (err) {
+        if (attempt >= maxRetries) {
+          throw err;
+        }
+      }
+
+      const delay = retryDelaySeconds * 1000 * Math.pow(2, attempt);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Fetches the entry and writes it to the install cache. Entries with an
+   * `integrity` value have their body verified before anything is cached.
+   *
+   * @private
+   * @param {BaseCacheEntry} precacheEntry The entry to fetch and cache.
+   * @param {RequestWrapper} [requestWrapper] The `RequestWrapper` to cache
+   * the entry with. Defaults to the install `RequestWrapper`.
+   * @return {Promise<Response>} The network response.
+   */
+  async _fetchAndCacheEntry(precacheEntry,
+    requestWrapper = this._getInstallRequestWrapper()) {
+    const request = precacheEntry.getNetworkRequest();
+    if (!precacheEntry.integrity) {
+      return requestWrapper.fetchAndCache({
+        request,
         waitOnCache: true,
         cacheKey: precacheEntry.request,
       });
+    }
 
-      return this._onEntryCached(precacheEntry);
-    } catch (err) {
-      throw ErrorFactory.createError('request-not-cached', {
-        message: `Failed to get a cacheable response for ` +
-          `'${precacheEntry.request.url}': ${err.message}`,
-      });
+    const response = await requestWrapper.fetch({request});
+    if (!response.ok) {
+      throw ErrorFactory.createError('request-not-cached');
+    }
+
+    const body = await response.clone().arrayBuffer();
+    if (!await precacheEntry.matchesIntegrity(body)) {
+      throw ErrorFactory.createError('integrity-mismatch',
+        new Error(`Expected '${precacheEntry.integrity}'.`));
     }
+
+    const cache = await requestWrapper.getCache();
+    await cache.put(precacheEntry.request, response.clone());
+    return response;
+  }
+
+  /**
+   * Works out how many bytes were downloaded for a response. Opaque responses
+   * can't be read, so they count as zero bytes.
+   *
+   * @private
+   * @param {Response} response The response returned by the network.
+   * @return {Promise<Number>} The size of the response body in bytes.
+   */
+  async _getResponseSize(response) {
+    const contentLength = response.headers.get('content-length');
+    if (contentLength) {
+      return parseInt(contentLength, 10);
+    }
+
+    if (response.type === 'opaque') {
+      return 0;
+    }
+
+    const blob = await response.blob();
+    return blob.size;
+  }
+
+  /**
+   * Returns the `RequestWrapper` used to fetch and cache entries during the
+   * install step. By default this writes directly to the cache returned by
+   * `getCacheName()`, but subclasses can override it to stage entries in a
+   * different cache.
+   *
+   * @private
+   * @return {RequestWrapper} The `RequestWrapper` used during install.
+   */
+  _getInstallRequestWrapper() {
+    return this._requestWrapper;
+  }
+
+  /**
+   * Returns every entry that this cache manager is responsible for. Cached
+   * responses for any other URL are removed by `cleanup()`.
+   *
+   * @private
+   * @return {Array<BaseCacheEntry>} The entries in the cache list.
+   */
+  _getCacheListEntries() {
+    return Array.from(this._entriesToCache.values());
+  }
+
+  /**
+   * Finds the entry in the cache list with the given URL.
+   *
+   * @private
+   * @param {String} url The URL of the entry, relative URLs are resolved
+   * against the service worker's location.
+   * @return {BaseCacheEntry|null} The matching entry, or null if there
+   * isn't one.
+   */
+  _getEntryForUrl(url) {
+    const absoluteUrl = new URL(url, location).href;
+    for (let precacheEntry of this._getCacheListEntries()) {
+      if (precacheEntry.request.url === absoluteUrl) {
+        return precacheEntry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Downloads a single entry again and overwrites the cached copy, without
+   * waiting for a new service worker install.
+   *
+   * @param {String} url The URL of an entry passed to `addToCacheList()`.
+   * @return {Promise} Resolves once the entry has been cached.
+   */
+  async refetchEntry(url) {
+    assert.isType({url}, 'string');
+    const precacheEntry = this._getEntryForUrl(url);
+    if (!precacheEntry) {
+      throw ErrorFactory.createError('entry-not-in-cache-list',
+        new Error(`'${url}'`));
+    }
+
+    await this._fetchAndCacheEntry(precacheEntry, this._requestWrapper);
+    return this._onEntryRefetched(precacheEntry);
+  }
+
+  /**
+   * Removes a single entry from the cache. The entry will be downloaded again
+   * during the next install.
+   *
+   * @param {String} url The URL of the entry to remove.
+   * @return {Promise<boolean>} Resolves to true if a cached response was
+   * deleted.
+   */
+  async deleteEntry(url) {
+    assert.isType({url}, 'string');
+    const precacheEntry = this._getEntryForUrl(url);
+    const openCache = await this._getCache();
+    const deleted = await openCache.delete(
+      precacheEntry ? precacheEntry.request : new URL(url, location).href);
+
+    if (precacheEntry) {
+      await this._onEntryDeleted(precacheEntry);
+    }
+    return deleted;
+  }
+
+  /**
+   * Called after an entry has been downloaded with `refetchEntry()`.
+   *
+   * @private
+   * @param {BaseCacheEntry} precacheEntry The entry that was cached.
+   */
+  _onEntryRefetched(precacheEntry) {
+    // NOOP
+  }
+
+  /**
+   * Called after an entry has been removed with `deleteEntry()`.
+   *
+   * @private
+   * @param {BaseCacheEntry} precacheEntry The entry that was deleted.
+   */
+  _onEntryDeleted(precacheEntry) {
+    // NOOP
   }
 
   /**
@@ -162,10 +410,8 @@ class BaseCacheManager {
       return;
     }
 
-    const requestsCachedOnInstall = [];
-    this._entriesToCache.forEach((entry) => {
-      requestsCachedOnInstall.push(entry.request.url);
-    });
+    const requestsCachedOnInstall = this._getCacheListEntries()
+      .map((entry) => entry.request.url);
 
     const openCache = await this._getCache();
     const allCachedRequests = await openCache.keys();
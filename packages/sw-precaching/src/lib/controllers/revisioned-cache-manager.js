@@ -1,7 +1,9 @@
 import ErrorFactory from '../error-factory';
 import BaseCacheManager from './base-cache-manager';
 import RevisionDetailsModel from '../models/revision-details-model';
-import {defaultRevisionedCacheName} from '../constants';
+import {defaultRevisionedCacheName, temporaryCacheSuffix} from
+  '../constants';
+import {RequestWrapper} from '../../../../sw-runtime-caching/src/index';
 import StringPrecacheEntry from
   '../models/precache-entries/string-precache-entry';
 import ObjectPrecacheEntry from
@@ -12,6 +14,17 @@ import assert from '../../../../../lib/assert';
  * This class extends a lot of the internal methods from BaseCacheManager
  * to manage caching of revisioned assets.
  *
+ * New and updated entries are downloaded into a temporary cache during the
+ * install step, and are only moved into the main cache (and have their
+ * revisions recorded) during the activate step. This means that a previous
+ * service worker, which may still be controlling pages while the new one
+ * installs, will keep seeing a consistent set of cached assets.
+ *
+ * Entries can also be added to a named group, in which case they aren't
+ * downloaded during install but only when
+ * [cacheGroup()]{@link module:sw-precaching.RevisionedCacheManager#cacheGroup}
+ * is called.
+ *
  * @private
  * @memberof module:sw-precaching
  * @extends {module:sw-precaching.BaseCacheManager}
@@ -21,13 +34,51 @@ class RevisionedCacheManager extends BaseCacheManager {
    * Constructor for RevisionedCacheManager
    * @param {Object} input
    * @param {String} [input.cacheName] Define the cache used to stash these
-   * entries.
+   * entries. Managers with different cache names keep their revision details
+   * in separate IndexedDB databases, so they don't affect each other.
    */
   constructor({cacheName} = {}) {
     cacheName = cacheName || defaultRevisionedCacheName;
     super(cacheName);
 
-    this._revisionDetailsModel = new RevisionDetailsModel();
+    this._revisionDetailsModel = new RevisionDetailsModel(this._cacheName);
+    this._lazyGroups = new Map();
+    this._pendingGroups = new Map();
+    this._temporaryCacheName = `${this._cacheName}${temporaryCacheSuffix}`;
+    this._temporaryRequestWrapper = new RequestWrapper({
+      cacheName: this._temporaryCacheName,
+      fetchOptions: {
+        credentials: 'same-origin',
+      },
+    });
+  }
+
+  /**
+   * Manages the service worker install event and downloads any new or
+   * updated revisioned assets into a temporary cache. The entries will be
+   * moved into the main cache when [cleanup()]{@link
+   * module:sw-precaching.RevisionedCacheManager#cleanup} is called during
+   * the activate event.
+   *
+   * @param {Object} [input] The same options accepted by
+   * [BaseCacheManager.install()]{@link
+   * module:sw-precaching.BaseCacheManager#install}.
+   * @return {Promise} The promise resolves when all the desired assets are
+   * downloaded.
+   */
+  async install(input) {
+    // Start from an empty temporary cache, in case a previous install failed
+    // part way through.
+    await caches.delete(this._temporaryCacheName);
+    return super.install(input);
+  }
+
+  /**
+   * @private
+   * @return {RequestWrapper} The `RequestWrapper` for the temporary cache.
+   */
+  _getInstallRequestWrapper() {
+    return this._temporaryRequestWrapper;
   }
 
   /**
@@ -43,16 +94,178 @@ class RevisionedCacheManager extends BaseCacheManager {
    *     {
    *       url: '/images/logo.png',
    *       revision: '1234'
+   *     },
+   *     {
+   *       url: 'https://cdn.example.com/app.js',
+   *       revision: '5678',
+   *       integrity: 'sha384-<base64 encoded hash>'
    *     }
    *   ]
    * });
    *
-   * @param {Array<String|Object>} rawEntries A raw entry that can be
-   * parsed into a BaseCacheEntry.
+   * @example <caption>Entries in a group are only downloaded on demand.
+   * </caption>
+   *
+   * revisionedManager.addToCacheList({
+   *   group: 'help-center',
+   *   revisionedFiles: [
+   *     {
+   *       url: '/help/index.html',
+   *       revision: '1234'
+   *     }
+   *   ]
+   * });
+   *
+   * @param {Object} input
+   * @param {Array<String|Object>} input.revisionedFiles Raw entries that can
+   * be parsed into a BaseCacheEntry.
+   * @param {String} [input.group] The name of a group to add the entries to.
+   * Grouped entries aren't cached during install.
    */
-  addToCacheList({revisionedFiles} = {}) {
+  addToCacheList({revisionedFiles, group} = {}) {
     assert.isInstance({revisionedFiles}, Array);
-    super._addEntries(revisionedFiles);
+    if (typeof group === 'undefined') {
+      super._addEntries(revisionedFiles);
+      return;
+    }
+
+    assert.isType({group}, 'string');
+    if (!this._lazyGroups.has(group)) {
+      this._lazyGroups.set(group, new Map());
+    }
+
+    const groupEntries = this._lazyGroups.get(group);
+    revisionedFiles.forEach((rawEntry) => {
+      const precacheEntry = this._parseEntry(rawEntry);
+      const previousEntry = groupEntries.get(precacheEntry.entryID);
+      if (previousEntry) {
+        this._onDuplicateInstallEntryFound(precacheEntry, previousEntry);
+        return;
+      }
+      groupEntries.set(precacheEntry.entryID, precacheEntry);
+    });
+  }
+
+  /**
+   * Returns the fully qualified URLs in a group.
+   *
+   * @param {String} group The name of the group.
+   * @return {Array<String>} The URLs in the group, or an empty array if
+   * there's no group with that name.
+   */
+  getGroupUrls(group) {
+    const groupEntries = this._lazyGroups.get(group);
+    if (!groupEntries) {
+      return [];
+    }
+
+    return Array.from(groupEntries.values())
+      .map((precacheEntry) => precacheEntry.request.url);
+  }
+
+  /**
+   * Finds the group that a URL was added to.
+   *
+   * @param {String} url The URL to look up.
+   * @return {String|null} The name of the group, or null if the URL isn't
+   * in a group.
+   */
+  getGroupForUrl(url) {
+    const absoluteUrl = new URL(url, location).href;
+    for (let [group, groupEntries] of this._lazyGroups) {
+      for (let precacheEntry of groupEntries.values()) {
+        if (precacheEntry.request.url === absoluteUrl) {
+          return group;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Downloads every entry in a group that isn't already cached with the
+   * current revision. Calling this again while a group is downloading
+   * returns the same promise.
+   *
+   * @example
+   * revisionedManager.cacheGroup('help-center')
+   * .then(() => {
+   *   console.log('The help center is available offline.');
+   * });
+   *
+   * @param {String} group The name of the group to cache.
+   * @return {Promise} Resolves once every entry in the group is cached.
+   */
+  cacheGroup(group) {
+    assert.isType({group}, 'string');
+    const groupEntries = this._lazyGroups.get(group);
+    if (!groupEntries) {
+      return Promise.reject(ErrorFactory.createError('unknown-precache-group',
+        new Error(`'${group}'`)));
+    }
+
+    if (!this._pendingGroups.has(group)) {
+      const cachePromises = Array.from(groupEntries.values())
+        .map(async (precacheEntry) => {
+          if (await this._isAlreadyCached(precacheEntry)) {
+            return;
+          }
+
+          await this._fetchAndCacheEntry(precacheEntry, this._requestWrapper);
+          await this._revisionDetailsModel.put(
+            precacheEntry.entryID, precacheEntry.revision);
+        });
+
+      const groupPromise = Promise.all(cachePromises)
+      .then(() => {
+        this._pendingGroups.delete(group);
+      }, (err) => {
+        this._pendingGroups.delete(group);
+        throw err;
+      });
+      this._pendingGroups.set(group, groupPromise);
+    }
+
+    return this._pendingGroups.get(group);
+  }
+
+  /**
+   * @private
+   * @return {Array<BaseCacheEntry>} The install entries and the entries in
+   * every group.
+   */
+  _getCacheListEntries() {
+    const cacheListEntries = super._getCacheListEntries();
+    this._lazyGroups.forEach((groupEntries) => {
+      groupEntries.forEach((precacheEntry) => {
+        cacheListEntries.push(precacheEntry);
+      });
+    });
+    return cacheListEntries;
+  }
+
+  /**
+   * Grouped entries that were cached with a different revision are removed,
+   * so that the new revision is downloaded the next time the group is
+   * cached.
+   *
+   * @private
+   * @return {Promise} Resolves once outdated entries have been removed.
+   */
+  _removeOutdatedGroupEntries() {
+    const removePromises = [];
+    this._lazyGroups.forEach((groupEntries) => {
+      groupEntries.forEach((precacheEntry) => {
+        removePromises.push((async () => {
+          const revision = await this._revisionDetailsModel.get(
+            precacheEntry.entryID);
+          if (revision && revision !== precacheEntry.revision) {
+            await this.deleteEntry(precacheEntry.request.url);
+          }
+        })());
+      });
+    });
+    return Promise.all(removePromises);
   }
 
   /**
@@ -62,7 +275,8 @@ class RevisionedCacheManager extends BaseCacheManager {
    * @private
    * @abstract
    * @param {String | Object} input Either a URL string
-   * or an object with a `url`, `revision` and optional `cacheBust` parameter.
+   * or an object with a `url`, `revision` and optional `cacheBust` and
+   * `integrity` parameters.
    * @return {BaseCacheEntry} Returns a parsed version of the file entry.
    */
   _parseEntry(input) {
@@ -135,15 +349,89 @@ class RevisionedCacheManager extends BaseCacheManager {
   }
 
   /**
+   * The entry has only been written to the temporary cache at this point, so
+   * its revision isn't recorded until it's moved into the main cache.
+   *
    * @private
    * @param {BaseCacheEntry} precacheEntry A file entry with `path` and
    * `revision` parameters.
    */
-  async _onEntryCached(precacheEntry) {
-    await this._revisionDetailsModel.put(
+  _onEntryCached(precacheEntry) {
+    // NOOP
+  }
+
+  /**
+   * Looks up the revision that's currently cached for a URL.
+   *
+   * @example
+   * revisionedManager.getRevision('/styles/main.css')
+   * .then((revision) => {
+   *   console.log(`Cached revision: ${revision}`);
+   * });
+   *
+   * @param {String} url The URL of a revisioned entry.
+   * @return {Promise<String|undefined>} Resolves with the cached revision, or
+   * undefined if the URL hasn't been cached.
+   */
+  getRevision(url) {
+    assert.isType({url}, 'string');
+    const precacheEntry = this._getEntryForUrl(url);
+    return this._revisionDetailsModel.get(precacheEntry ?
+      precacheEntry.entryID : new URL(url, location).href);
+  }
+
+  /**
+   * @private
+   * @param {BaseCacheEntry} precacheEntry The entry that was cached.
+   * @return {Promise} Resolves once the revision has been saved.
+   */
+  _onEntryRefetched(precacheEntry) {
+    return this._revisionDetailsModel.put(
       precacheEntry.entryID, precacheEntry.revision);
   }
 
+  /**
+   * @private
+   * @param {BaseCacheEntry} precacheEntry The entry that was deleted.
+   * @return {Promise} Resolves once the revision has been removed.
+   */
+  _onEntryDeleted(precacheEntry) {
+    return this._revisionDetailsModel.delete(precacheEntry.entryID);
+  }
+
+  /**
+   * Moves every entry in the temporary cache into the main cache, records
+   * their revisions, and then deletes the temporary cache.
+   *
+   * @private
+   * @return {Promise} Resolves once the temporary cache has been removed.
+   */
+  async _promoteTemporaryCache() {
+    if (!await caches.has(this._temporaryCacheName)) {
+      return;
+    }
+
+    const temporaryCache = await caches.open(this._temporaryCacheName);
+    const openCache = await this._getCache();
+
+    const promotePromises = [];
+    this._entriesToCache.forEach((precacheEntry) => {
+      promotePromises.push((async () => {
+        const response = await temporaryCache.match(precacheEntry.request);
+        if (!response) {
+          return;
+        }
+
+        await openCache.put(precacheEntry.request, response);
+        await this._revisionDetailsModel.put(
+          precacheEntry.entryID, precacheEntry.revision);
+      })());
+    });
+    await Promise.all(promotePromises);
+
+    return caches.delete(this._temporaryCacheName);
+  }
+
   /**
    * This method closes the indexdDB helper. This is used for unit testing
    * to ensure cleanup between tests.
@@ -154,8 +442,9 @@ class RevisionedCacheManager extends BaseCacheManager {
   }
 
   /**
-   * Compare the URL's and determines which assets are no longer required
-   * in the cache.
+   * Moves the entries downloaded during install into the main cache, removes
+   * grouped entries with outdated revisions, then compares the URL's and
+   * determines which assets are no longer required in the cache.
    *
    * This should be called in the service worker activate event.
    *
@@ -163,7 +452,13 @@ class RevisionedCacheManager extends BaseCacheManager {
    * cleaned.
    */
   cleanup() {
-    return super.cleanup()
+    return this._promoteTemporaryCache()
+    .then(() => {
+      return this._removeOutdatedGroupEntries();
+    })
+    .then(() => {
+      return super.cleanup();
+    })
     .then(() => {
       return this._close();
     });
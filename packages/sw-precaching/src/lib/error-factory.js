@@ -27,6 +27,12 @@ const errors = {
   'request-not-cached': `A request failed the criteria to be cached. By ` +
     `default, only responses with 'response.ok = true' are cached.`,
   'should-override': 'Method should be overridden by the extending class.',
+  'entry-not-in-cache-list': `The requested URL isn't in the list of ` +
+    `entries added to this cache manager.`,
+  'unknown-precache-group': `No precache group has been added with the ` +
+    `requested name.`,
+  'integrity-mismatch': `The downloaded response didn't match the ` +
+    `integrity value of its manifest entry.`,
 };
 
 export default new ErrorFactory(errors);
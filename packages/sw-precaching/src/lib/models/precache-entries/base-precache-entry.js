@@ -1,4 +1,4 @@
-import {cacheBustParamName} from '../../constants';
+import {cacheBustParamName, integrityAlgorithms} from '../../constants';
 
 /**
  * This class is extended by a number of classes that take different inputs
@@ -17,12 +17,50 @@ class BaseCacheEntry {
    * @param {String} input.revision
    * @param {Request} input.request
    * @param {boolean} input.cacheBust
+   * @param {String} [input.integrity]
    */
-  constructor({entryID, revision, request, cacheBust}) {
+  constructor({entryID, revision, request, cacheBust, integrity}) {
     this.entryID = entryID;
     this.revision = revision;
     this.request = request;
     this.cacheBust = cacheBust;
+    this.integrity = integrity;
+  }
+
+  /**
+   * Checks a downloaded body against the entry's
+   * [Subresource Integrity](https://developer.mozilla.org/en-US/docs/Web/Security/Subresource_Integrity)
+   * metadata. As in the browser's own checks, only the hashes for the
+   * strongest algorithm that's listed are used, and the body needs to match
+   * one of them.
+   *
+   * @param {ArrayBuffer} body The downloaded response body.
+   * @return {Promise<boolean>} Resolves to true if the body matches.
+   */
+  async matchesIntegrity(body) {
+    const hashes = this.integrity.trim().split(/\s+/).map((hash) => {
+      const separatorIndex = hash.indexOf('-');
+      return {
+        algorithmName: hash.slice(0, separatorIndex),
+        expectedDigest: hash.slice(separatorIndex + 1),
+      };
+    });
+
+    const algorithmNames = Object.keys(integrityAlgorithms);
+    const strongestAlgorithmName = hashes
+      .map(({algorithmName}) => algorithmName)
+      .reduce((strongest, algorithmName) => {
+        return algorithmNames.indexOf(algorithmName) >
+          algorithmNames.indexOf(strongest) ? algorithmName : strongest;
+      });
+
+    const digest = await crypto.subtle.digest(
+      integrityAlgorithms[strongestAlgorithmName], body);
+    const base64Digest = btoa(String.fromCharCode(...new Uint8Array(digest)));
+    return hashes.some(({algorithmName, expectedDigest}) => {
+      return algorithmName === strongestAlgorithmName &&
+        expectedDigest === base64Digest;
+    });
   }
 
   /**
@@ -1,6 +1,10 @@
 import ErrorFactory from '../../error-factory';
 import BaseCacheEntry from './base-precache-entry';
 import assert from '../../../../../../lib/assert';
+import {integrityAlgorithms} from '../../constants';
+
+const integrityPattern = new RegExp(
+  `^(${Object.keys(integrityAlgorithms).join('|')})-[A-Za-z0-9+/]+={0,2}$`);
 
 /**
  * This class will take an object of parameters, validate the input and
@@ -21,8 +25,11 @@ class DefaultsCacheEntry extends BaseCacheEntry {
    * @param {String} input.url The URL to cache.
    * @param {boolean} input.cacheBust A boolean to indicate if this request
    * will require cache busting (i.e. the URL is not unique between SW install).
+   * @param {String} [input.integrity] Subresource Integrity metadata, for
+   * example `'sha384-...'`. If set, the downloaded response must match it to
+   * be cached.
    */
-  constructor({entryID, revision, url, cacheBust}) {
+  constructor({entryID, revision, url, cacheBust, integrity}) {
     if (typeof cacheBust === 'undefined') {
       cacheBust = true;
     }
@@ -53,11 +60,23 @@ class DefaultsCacheEntry extends BaseCacheEntry {
 
     assert.isType({cacheBust}, 'boolean');
 
+    if (typeof integrity !== 'undefined') {
+      assert.isType({integrity}, 'string');
+      const hashes = integrity.trim().split(/\s+/);
+      if (!hashes.every((hash) => integrityPattern.test(hash))) {
+        throw ErrorFactory.createError('invalid-revisioned-entry',
+          new Error('Bad integrity Parameter. It should be one or more ' +
+            'sha256, sha384 or sha512 hashes in the Subresource Integrity ' +
+            'format: ' + JSON.stringify(integrity)));
+      }
+    }
+
     super({
       entryID,
       revision,
       request: new Request(url),
       cacheBust,
+      integrity,
     });
   }
 }
@@ -1,20 +1,31 @@
 import IDBHelper from '../../../../../lib/idb-helper.js';
-import {dbName, dbVersion, dbStorename} from '../constants';
+import {
+  dbName, dbVersion, dbStorename, defaultRevisionedCacheName,
+} from '../constants';
 
 /**
  * This class is a simple model that stores EntryID's with their current
  * revision. This is used when caching revisioned assets so that only entries
  * with different revisions are downloaded and updated.
  *
+ * Each cache gets its own IndexedDB database, so that two cache managers
+ * can precache the same URL without sharing revision details.
+ *
  * @private
  * @memberof module:sw-precaching
  */
 class RevisionDetailsModel {
   /**
    * Constructor for RevisionDetails Model.
+   * @param {String} [cacheName] The name of the cache the revisions are
+   * tracked for. Defaults to the default revisioned cache name.
    */
-  constructor() {
-    this._idbHelper = new IDBHelper(dbName, dbVersion, dbStorename);
+  constructor(cacheName = defaultRevisionedCacheName) {
+    // The default cache keeps using the original database name, so existing
+    // revision details aren't lost.
+    const idbName = cacheName === defaultRevisionedCacheName ?
+      dbName : `${dbName}-${cacheName}`;
+    this._idbHelper = new IDBHelper(idbName, dbVersion, dbStorename);
   }
 
   /**
@@ -37,6 +48,15 @@ class RevisionDetailsModel {
     return this._idbHelper.put(entryID, revision);
   }
 
+  /**
+   * This method removes the revision details for a given entryID.
+   * @param {String} entryID The ID of the revision.
+   * @return {Promise} Promise that resolves once the data has been deleted.
+   */
+  delete(entryID) {
+    return this._idbHelper.delete(entryID);
+  }
+
   /**
    * This method closes the indexdDB helper. This is only used for unit testing
    * to ensure clean state between tests.
@@ -183,4 +183,360 @@ describe('sw/revisioned-caching()', function() {
     expect(thrownError).to.exist;
     thrownError.name.should.equal('duplicate-entry-diff-revisions');
   });
+
+  it('should stage entries in a temporary cache until cleanup() is called', async function() {
+    const TEST_PATH = `${location.origin}/__echo/date/staged.txt`;
+    const cacheName = cacheManager.getCacheName();
+    const temporaryCacheName = cacheManager._temporaryCacheName;
+    await caches.delete(cacheName);
+
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: TEST_PATH, revision: '1234'},
+    ]});
+    await cacheManager.install();
+
+    const temporaryCache = await caches.open(temporaryCacheName);
+    expect(await temporaryCache.match(TEST_PATH)).to.exist;
+    const mainCache = await caches.open(cacheName);
+    expect(await mainCache.match(TEST_PATH)).to.not.exist;
+
+    await cacheManager.cleanup();
+
+    expect(await mainCache.match(TEST_PATH)).to.exist;
+    (await caches.has(temporaryCacheName)).should.equal(false);
+
+    await caches.delete(cacheName);
+  });
+
+  const stubInstallFetch = (fetchAndCache) => {
+    cacheManager._getInstallRequestWrapper = () => {
+      return {fetchAndCache};
+    };
+  };
+
+  it('should limit the number of parallel requests with maxConcurrentRequests', async function() {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    stubInstallFetch(() => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return new Promise((resolve) => setTimeout(resolve, 10))
+        .then(() => inFlight--);
+    });
+
+    const revisionedFiles = [];
+    for (let i = 0; i < 6; i++) {
+      revisionedFiles.push({url: `/__echo/date/concurrent-${i}.txt`, revision: '1'});
+    }
+    cacheManager.addToCacheList({revisionedFiles});
+    await cacheManager.install({maxConcurrentRequests: 2});
+
+    maxInFlight.should.equal(2);
+  });
+
+  it('should retry failed requests up to maxRetries times', async function() {
+    let attempts = 0;
+    stubInstallFetch(() => {
+      attempts++;
+      if (attempts < 3) {
+        return Promise.reject(new Error('Injected network error.'));
+      }
+      return Promise.resolve();
+    });
+
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: '/__echo/date/retry.txt', revision: '1'},
+    ]});
+    await cacheManager.install({maxRetries: 2, retryDelaySeconds: 0});
+
+    attempts.should.equal(3);
+  });
+
+  it('should report every failed entry in the request-not-cached error', async function() {
+    const FAILING_PATH = `${location.origin}/__echo/date/failing.txt`;
+    stubInstallFetch(({request}) => {
+      if (request.url.startsWith(FAILING_PATH)) {
+        return Promise.reject(new Error('Injected network error.'));
+      }
+      return Promise.resolve();
+    });
+
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: FAILING_PATH, revision: '1'},
+      {url: '/__echo/date/succeeding.txt', revision: '1'},
+    ]});
+
+    let thrownError = null;
+    try {
+      await cacheManager.install({maxRetries: 1, retryDelaySeconds: 0});
+    } catch (err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    thrownError.name.should.equal('request-not-cached');
+    thrownError.failedUrls.should.deep.equal([FAILING_PATH]);
+  });
+
+  it('should report progress for each entry with onProgress', async function() {
+    stubInstallFetch(({request}) => {
+      if (request.url.includes('progress-failing')) {
+        return Promise.reject(new Error('Injected network error.'));
+      }
+      return Promise.resolve(new Response('12345'));
+    });
+
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: '/__echo/date/progress-1.txt', revision: '1'},
+      {url: '/__echo/date/progress-failing.txt', revision: '1'},
+    ]});
+
+    const progressEvents = [];
+    try {
+      await cacheManager.install({
+        maxConcurrentRequests: 1,
+        onProgress: (progress) => progressEvents.push(progress),
+      });
+    } catch (err) {
+      // The failing entry is expected to reject the install.
+    }
+
+    progressEvents.length.should.equal(2);
+    progressEvents[0].entriesCompleted.should.equal(1);
+    progressEvents[0].entriesTotal.should.equal(2);
+    progressEvents[0].bytesDownloaded.should.equal(5);
+    progressEvents[0].failed.should.equal(false);
+    progressEvents[1].entriesCompleted.should.equal(2);
+    progressEvents[1].bytesDownloaded.should.equal(5);
+    progressEvents[1].failed.should.equal(true);
+  });
+
+  it('should add up bytesDownloaded across parallel requests', async function() {
+    stubInstallFetch(() => Promise.resolve(new Response('12345')));
+
+    const revisionedFiles = [];
+    for (let i = 0; i < 4; i++) {
+      revisionedFiles.push({url: `/__echo/date/progress-parallel-${i}.txt`, revision: '1'});
+    }
+    cacheManager.addToCacheList({revisionedFiles});
+
+    const progressEvents = [];
+    await cacheManager.install({
+      maxConcurrentRequests: 4,
+      onProgress: (progress) => progressEvents.push(progress),
+    });
+
+    progressEvents.length.should.equal(4);
+    progressEvents[3].bytesDownloaded.should.equal(20);
+  });
+
+  it('should not fail the install when a response size can\'t be read', async function() {
+    stubInstallFetch(() => Promise.resolve(new Response('12345')));
+    cacheManager._getResponseSize = () => {
+      return Promise.reject(new Error('Injected body error.'));
+    };
+
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: '/__echo/date/progress-size-error.txt', revision: '1'},
+    ]});
+
+    const progressEvents = [];
+    await cacheManager.install({
+      onProgress: (progress) => progressEvents.push(progress),
+    });
+
+    progressEvents.length.should.equal(1);
+    progressEvents[0].failed.should.equal(false);
+    progressEvents[0].bytesDownloaded.should.equal(0);
+  });
+
+  it('should throw for an invalid integrity value', function() {
+    let thrownError = null;
+    try {
+      cacheManager.addToCacheList({revisionedFiles: [
+        {url: VALID_PATH_REL, revision: VALID_REVISION, integrity: 'md5-abc'},
+      ]});
+    } catch (err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    thrownError.name.should.equal('invalid-revisioned-entry');
+  });
+
+  describe('integrity', function() {
+    const TEST_CACHE_NAME = 'integrity-test-cache';
+    const HELLO_SHA256 = 'sha256-LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=';
+
+    beforeEach(function() {
+      cacheManager._getInstallRequestWrapper = () => {
+        return {
+          fetch: () => Promise.resolve(new Response('hello')),
+          getCache: () => caches.open(TEST_CACHE_NAME),
+        };
+      };
+    });
+
+    afterEach(function() {
+      return caches.delete(TEST_CACHE_NAME);
+    });
+
+    it('should cache responses that match the integrity value', async function() {
+      const url = `${location.origin}/__echo/date/integrity-match.txt`;
+      cacheManager.addToCacheList({revisionedFiles: [
+        {url, revision: '1', integrity: `sha256-abcd ${HELLO_SHA256}`},
+      ]});
+      await cacheManager.install();
+
+      const cache = await caches.open(TEST_CACHE_NAME);
+      const cachedResponse = await cache.match(url);
+      (await cachedResponse.text()).should.equal('hello');
+    });
+
+    it('should refuse to cache responses that don\'t match the integrity value', async function() {
+      const url = `${location.origin}/__echo/date/integrity-mismatch.txt`;
+      cacheManager.addToCacheList({revisionedFiles: [
+        {url, revision: '1', integrity: 'sha256-dGFtcGVyZWQ='},
+      ]});
+
+      let thrownError = null;
+      try {
+        await cacheManager.install();
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.exist;
+      thrownError.name.should.equal('request-not-cached');
+      thrownError.message.should.contain('integrity');
+
+      const cache = await caches.open(TEST_CACHE_NAME);
+      expect(await cache.match(url)).to.not.exist;
+    });
+
+    it('should only use the hashes for the strongest algorithm listed', async function() {
+      const url = `${location.origin}/__echo/date/integrity-mixed.txt`;
+      cacheManager.addToCacheList({revisionedFiles: [
+        {url, revision: '1', integrity: `${HELLO_SHA256} sha384-dGFtcGVyZWQ=`},
+      ]});
+
+      let thrownError = null;
+      try {
+        await cacheManager.install();
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.exist;
+      thrownError.name.should.equal('request-not-cached');
+
+      const cache = await caches.open(TEST_CACHE_NAME);
+      expect(await cache.match(url)).to.not.exist;
+    });
+  });
+
+  it('should throw when refetching a URL that isn\'t in the cache list', async function() {
+    let thrownError = null;
+    try {
+      await cacheManager.refetchEntry('/__echo/date/not-in-list.txt');
+    } catch (err) {
+      thrownError = err;
+    }
+    expect(thrownError).to.exist;
+    thrownError.name.should.equal('entry-not-in-cache-list');
+  });
+
+  it('should refetch, look up and delete individual entries', async function() {
+    const TEST_PATH = '/__echo/date/runtime-entry.txt';
+    const cacheName = cacheManager.getCacheName();
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: TEST_PATH, revision: '5678'},
+    ]});
+
+    await cacheManager.refetchEntry(TEST_PATH);
+    (await cacheManager.getRevision(TEST_PATH)).should.equal('5678');
+    const cache = await caches.open(cacheName);
+    expect(await cache.match(TEST_PATH)).to.exist;
+
+    (await cacheManager.deleteEntry(TEST_PATH)).should.equal(true);
+    expect(await cacheManager.getRevision(TEST_PATH)).to.not.exist;
+    expect(await cache.match(TEST_PATH)).to.not.exist;
+
+    await caches.delete(cacheName);
+  });
+
+  describe('groups', function() {
+    const GROUP_PATH = '/__echo/date/lazy-group.txt';
+
+    afterEach(function() {
+      return caches.delete(cacheManager.getCacheName());
+    });
+
+    it('should reject when caching an unknown group', async function() {
+      let thrownError = null;
+      try {
+        await cacheManager.cacheGroup('unknown-group');
+      } catch (err) {
+        thrownError = err;
+      }
+      expect(thrownError).to.exist;
+      thrownError.name.should.equal('unknown-precache-group');
+    });
+
+    it('should only cache grouped entries when the group is requested', async function() {
+      cacheManager.addToCacheList({
+        group: 'lazy',
+        revisionedFiles: [{url: GROUP_PATH, revision: '1'}],
+      });
+
+      cacheManager.getCachedUrls().should.deep.equal([]);
+      cacheManager.getGroupUrls('lazy').should.deep.equal(
+        [`${location.origin}${GROUP_PATH}`]);
+      cacheManager.getGroupForUrl(GROUP_PATH).should.equal('lazy');
+      expect(cacheManager.getGroupForUrl(VALID_PATH_REL)).to.equal(null);
+
+      await cacheManager.install();
+      const cache = await caches.open(cacheManager.getCacheName());
+      expect(await cache.match(GROUP_PATH)).to.not.exist;
+
+      await cacheManager.cacheGroup('lazy');
+      expect(await cache.match(GROUP_PATH)).to.exist;
+      (await cacheManager.getRevision(GROUP_PATH)).should.equal('1');
+
+      // Grouped entries should survive cleanup.
+      await cacheManager.cleanup();
+      expect(await cache.match(GROUP_PATH)).to.exist;
+    });
+  });
+
+  it('should keep revisions and cleanup separate between cache names', async function() {
+    const TEST_PATH = '/__echo/date/separate-caches.txt';
+    const otherCacheManager = new goog.precaching.RevisionedCacheManager({
+      cacheName: 'separate-revisioned-cache',
+    });
+
+    cacheManager.addToCacheList({revisionedFiles: [
+      {url: TEST_PATH, revision: '1'},
+    ]});
+    otherCacheManager.addToCacheList({revisionedFiles: [
+      {url: TEST_PATH, revision: '2'},
+    ]});
+
+    await cacheManager.refetchEntry(TEST_PATH);
+    await otherCacheManager.refetchEntry(TEST_PATH);
+    (await cacheManager.getRevision(TEST_PATH)).should.equal('1');
+    (await otherCacheManager.getRevision(TEST_PATH)).should.equal('2');
+
+    // Cleaning up a manager with an empty cache list must not touch the
+    // other cache.
+    const emptyCacheManager = new goog.precaching.RevisionedCacheManager({
+      cacheName: 'separate-revisioned-cache-empty',
+    });
+    await emptyCacheManager.cleanup();
+    const otherCache = await caches.open('separate-revisioned-cache');
+    expect(await otherCache.match(TEST_PATH)).to.exist;
+
+    await otherCacheManager.deleteEntry(TEST_PATH);
+    otherCacheManager._close();
+    await caches.delete('separate-revisioned-cache');
+    await caches.delete('separate-revisioned-cache-empty');
+    await cacheManager.deleteEntry(TEST_PATH);
+    await caches.delete(cacheManager.getCacheName());
+  });
 });
@@ -0,0 +1,47 @@
+/* eslint-env worker, serviceworker */
+/* global goog */
+
+// Import the helper libraries into our service worker's global scope.
+importScripts(
+  // This provides the goog.routing.* interfaces.
+  '../../sw-routing/build/sw-routing.js',
+  // This provides the goog.runtimeCaching.* interfaces.
+  '../../sw-runtime-caching/build/sw-runtime-caching.js',
+  // This provides the goog.rangeRequests.* interfaces.
+  '../../sw-range-requests/build/sw-range-requests.js'
+);
+
+const cacheName = 'range-requests-demo';
+
+// Cache the full file.txt response ahead of time, and have the service worker
+// take control as soon as possible.
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(cacheName)
+      .then((cache) => cache.add('file.txt'))
+      .then(() => self.skipWaiting())
+  );
+});
+self.addEventListener('activate', () => self.clients.claim());
+
+// Configure a RequestWrapper that uses the cache we just populated, and
+// responds to requests with a Range header using part of the cached response.
+const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+  cacheName,
+  plugins: [
+    new goog.rangeRequests.Plugin(),
+  ],
+});
+
+// Create a route to match requests for file.txt, which are handled using a
+// cache first policy.
+const fileRoute = new goog.routing.RegExpRoute({
+  regExp: /file\.txt$/,
+  handler: new goog.runtimeCaching.CacheFirst({requestWrapper}),
+});
+
+// Finally, set up our router, registering both the fileRoute and also
+// a default handler to match all other requests, using a network first policy.
+const router = new goog.routing.Router();
+router.registerRoute({route: fileRoute});
+router.setDefaultHandler({handler: new goog.runtimeCaching.NetworkFirst()});
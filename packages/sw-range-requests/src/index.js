@@ -0,0 +1,52 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+/**
+ * # sw-range-requests
+ *
+ * A helper library that responds to requests with a `Range` header, like the
+ * ones made by media elements, using partial content from a full cached
+ * response.
+ *
+ * A `206 Partial Content` response with a `Content-Range` header is created
+ * for ranges that can be satisfied, and a `416 Range Not Satisfiable`
+ * response for valid `bytes` ranges that can't. `Range` headers that use
+ * another unit or aren't valid are ignored, and the full response is used.
+ *
+ * @example <caption>Used as an automatically invoked
+ * "plugin".</caption>
+ *
+ * const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+ *   cacheName: 'podcasts',
+ *   plugins: [
+ *     new goog.rangeRequests.Plugin(),
+ *   ],
+ * });
+ *
+ * const route = new goog.routing.RegExpRoute({
+ *   regExp: /\.mp3$/,
+ *   handler: new goog.runtimeCaching.CacheFirst({requestWrapper}),
+ * });
+ *
+ * @module sw-range-requests
+ */
+
+import Plugin from './lib/plugin';
+import createPartialResponse from './lib/create-partial-response';
+
+export {
+  Plugin,
+  createPartialResponse,
+};
@@ -0,0 +1,132 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import assert from '../../../../lib/assert';
+
+/**
+ * Parses the value of a `Range` header. Only a single range with the `bytes`
+ * unit, which is case-insensitive, is supported.
+ *
+ * @private
+ * @param {string} rangeHeader The value of the `Range` header.
+ * @return {Object|null} An object with either a `start` and an optional `end`
+ *         offset, or a `suffixLength`. `null` if the header uses another unit,
+ *         asks for multiple ranges or isn't valid.
+ */
+function parseRangeHeader(rangeHeader) {
+  const rangeParts = /^bytes=(\d*)-(\d*)$/i.exec(rangeHeader.trim());
+  if (!rangeParts || (rangeParts[1] === '' && rangeParts[2] === '')) {
+    return null;
+  }
+
+  if (rangeParts[1] === '') {
+    // A suffix range, like 'bytes=-500', asks for the last 500 bytes.
+    return {suffixLength: parseInt(rangeParts[2], 10)};
+  }
+
+  const start = parseInt(rangeParts[1], 10);
+  const end = rangeParts[2] === '' ? undefined : parseInt(rangeParts[2], 10);
+  if (end !== undefined && end < start) {
+    return null;
+  }
+
+  return {start, end};
+}
+
+/**
+ * Resolves a parsed range against the size of the full response body.
+ *
+ * @private
+ * @param {Object} range A range returned by `parseRangeHeader()`.
+ * @param {number} size The size of the full response body.
+ * @return {Object|null} An object with inclusive `start` and `end` offsets,
+ *         or `null` if the range can't be satisfied.
+ */
+function resolveRange({start, end, suffixLength}, size) {
+  if (suffixLength !== undefined) {
+    if (suffixLength === 0 || size === 0) {
+      return null;
+    }
+    return {start: Math.max(size - suffixLength, 0), end: size - 1};
+  }
+
+  if (start >= size) {
+    return null;
+  }
+  return {start, end: end === undefined ? size - 1 : Math.min(end, size - 1)};
+}
+
+/**
+ * Given a `Request` with a `Range` header and the full `Response` for that
+ * URL, creates the `206 Partial Content` response that the browser expects.
+ *
+ * If a valid `bytes` range can't be satisfied, a
+ * `416 Range Not Satisfiable` response is returned instead. Responses that
+ * are already partial, or that are opaque and can't be read, are returned
+ * unchanged. As the HTTP spec requires, so is the full response when the
+ * `Range` header uses another unit or isn't valid, and when it asks for
+ * multiple ranges, which the spec allows in place of a
+ * `multipart/byteranges` response.
+ *
+ * @example
+ * const cachedResponse = await caches.match(event.request.url);
+ * const partialResponse = await goog.rangeRequests.createPartialResponse({
+ *   request: event.request,
+ *   originalResponse: cachedResponse,
+ * });
+ *
+ * @memberof module:sw-range-requests
+ *
+ * @param {Object} input
+ * @param {Request} input.request A request with a `Range` header.
+ * @param {Response} input.originalResponse The full response for the
+ *        request's URL.
+ * @return {Promise<Response>} The partial response.
+ */
+async function createPartialResponse({request, originalResponse} = {}) {
+  assert.isInstance({request}, Request);
+  assert.isInstance({originalResponse}, Response);
+
+  const parsedRange = parseRangeHeader(request.headers.get('range') || '');
+  if (originalResponse.status === 206 || originalResponse.type === 'opaque' ||
+      !parsedRange) {
+    return originalResponse;
+  }
+
+  const blob = await originalResponse.blob();
+
+  const range = resolveRange(parsedRange, blob.size);
+  if (!range) {
+    return new Response('', {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: {'Content-Range': `bytes */${blob.size}`},
+    });
+  }
+
+  const slicedBlob = blob.slice(range.start, range.end + 1);
+  const headers = new Headers(originalResponse.headers);
+  headers.set('Content-Range',
+    `bytes ${range.start}-${range.end}/${blob.size}`);
+  headers.set('Content-Length', String(slicedBlob.size));
+
+  return new Response(slicedBlob, {
+    status: 206,
+    statusText: 'Partial Content',
+    headers,
+  });
+}
+
+export default createPartialResponse;
@@ -0,0 +1,56 @@
+/*
+ Copyright 2017 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import createPartialResponse from './create-partial-response';
+
+/**
+ * Use this plugin to respond to requests with a `Range` header, like the
+ * ones made by `<audio>` and `<video>` elements when seeking, using a
+ * slice of the full cached response.
+ *
+ * @example
+ * const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+ *   cacheName: 'media',
+ *   plugins: [
+ *     new goog.rangeRequests.Plugin(),
+ *   ],
+ * });
+ *
+ * @memberof module:sw-range-requests
+ */
+class Plugin {
+  /**
+   * A "lifecycle" callback that will be triggered automatically by the
+   * `goog.runtimeCaching` handlers when a response is read from the cache.
+   *
+   * Requests without a `Range` header get the cached response unchanged.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Request|string} input.request The request that's being matched.
+   * @param {Response} input.cachedResponse The full cached response.
+   * @return {Response|Promise<Response>} The response that should be used.
+   */
+  cacheWillMatch({request, cachedResponse} = {}) {
+    if (!cachedResponse || !(request instanceof Request) ||
+      !request.headers.has('range')) {
+      return cachedResponse;
+    }
+
+    return createPartialResponse({request, originalResponse: cachedResponse});
+  }
+}
+
+export default Plugin;
@@ -0,0 +1,14 @@
+describe('Service Worker Unit Test Registration', function() {
+  const pathPrefix = '../sw/';
+  const swUnitTests = [
+    'create-partial-response.js',
+    'namespace.js',
+    'plugin.js',
+  ].map((script) => `${pathPrefix}${script}`);
+
+  swUnitTests.forEach(function(swUnitTestPath) {
+    it(`should register ${swUnitTestPath}`, function() {
+      return goog.mochaUtils.registerServiceWorkerMochaTests(swUnitTestPath);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-range-requests/build/sw-range-requests.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the createPartialResponse function', function() {
+  const url = '/media/test.txt';
+  const body = '0123456789';
+
+  const getPartial = (range, originalResponse = new Response(body)) => {
+    const request = new Request(url, {headers: {range}});
+    return goog.rangeRequests.createPartialResponse({request, originalResponse});
+  };
+
+  it('should throw when called without a Request', function() {
+    return goog.rangeRequests.createPartialResponse({
+      request: url,
+      originalResponse: new Response(body),
+    }).then(() => {
+      throw new Error('Expected an error.');
+    }, (err) => {
+      expect(err.message).to.contain('request');
+    });
+  });
+
+  const satisfiableRanges = [
+    {range: 'bytes=0-4', contentRange: 'bytes 0-4/10', expectedBody: '01234'},
+    {range: 'bytes=6-', contentRange: 'bytes 6-9/10', expectedBody: '6789'},
+    {range: 'bytes=-3', contentRange: 'bytes 7-9/10', expectedBody: '789'},
+    {range: 'bytes=8-20', contentRange: 'bytes 8-9/10', expectedBody: '89'},
+    {range: 'bytes=-20', contentRange: 'bytes 0-9/10', expectedBody: '0123456789'},
+    {range: 'Bytes=0-4', contentRange: 'bytes 0-4/10', expectedBody: '01234'},
+  ];
+  satisfiableRanges.forEach(({range, contentRange, expectedBody}) => {
+    it(`should return a 206 response for '${range}'`, function() {
+      return getPartial(range).then((response) => {
+        expect(response.status).to.equal(206);
+        expect(response.headers.get('content-range')).to.equal(contentRange);
+        expect(response.headers.get('content-length'))
+          .to.equal(String(expectedBody.length));
+        return response.text();
+      }).then((text) => {
+        expect(text).to.equal(expectedBody);
+      });
+    });
+  });
+
+  const unsatisfiableRanges = ['bytes=10-', 'bytes=10-20', 'bytes=-0'];
+  unsatisfiableRanges.forEach((range) => {
+    it(`should return a 416 response for '${range}'`, function() {
+      return getPartial(range).then((response) => {
+        expect(response.status).to.equal(416);
+        expect(response.headers.get('content-range')).to.equal('bytes */10');
+      });
+    });
+  });
+
+  const ignoredRanges = ['items=0-4', 'bytes=5-2', 'bytes=-', 'bytes=a-b',
+    'bytes 0-4'];
+  ignoredRanges.forEach((range) => {
+    it(`should return the full response for '${range}'`, function() {
+      const originalResponse = new Response(body);
+      return getPartial(range, originalResponse).then((response) => {
+        expect(response).to.equal(originalResponse);
+        expect(response.status).to.equal(200);
+        expect(response.bodyUsed).to.equal(false);
+      });
+    });
+  });
+
+  it('should keep the headers of the original response', function() {
+    const originalResponse = new Response(body, {
+      headers: {'content-type': 'text/plain'},
+    });
+    return getPartial('bytes=0-1', originalResponse).then((response) => {
+      expect(response.headers.get('content-type')).to.equal('text/plain');
+    });
+  });
+
+  it('should return the full response when multiple ranges are requested', function() {
+    const originalResponse = new Response(body);
+    return getPartial('bytes=0-1,4-5', originalResponse).then((response) => {
+      expect(response).to.equal(originalResponse);
+      expect(response.status).to.equal(200);
+    });
+  });
+
+  it('should return a response that is already partial unchanged', function() {
+    const originalResponse = new Response(body, {status: 206});
+    return getPartial('bytes=0-1', originalResponse).then((response) => {
+      expect(response).to.equal(originalResponse);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-range-requests/build/sw-range-requests.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+const exportedSymbols = [
+  'Plugin',
+  'createPartialResponse',
+];
+
+describe('Test Library Surface', function() {
+  it('should be accessible via goog.rangeRequests', function() {
+    expect(goog.rangeRequests).to.exist;
+  });
+
+  exportedSymbols.forEach((exportedSymbol) => {
+    it(`should expose ${exportedSymbol} via goog.rangeRequests`, function() {
+      expect(goog.rangeRequests[exportedSymbol]).to.exist;
+    });
+  });
+});
@@ -0,0 +1,47 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-range-requests/build/sw-range-requests.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the Plugin class', function() {
+  const url = '/media/test.txt';
+
+  it('should return the cached response when there is no Range header', function() {
+    const plugin = new goog.rangeRequests.Plugin();
+    const cachedResponse = new Response('0123456789');
+    const response = plugin.cacheWillMatch({
+      request: new Request(url),
+      cachedResponse,
+    });
+    expect(response).to.equal(cachedResponse);
+  });
+
+  it('should return undefined when nothing is cached', function() {
+    const plugin = new goog.rangeRequests.Plugin();
+    const response = plugin.cacheWillMatch({
+      request: new Request(url, {headers: {range: 'bytes=0-1'}}),
+    });
+    expect(response).to.not.exist;
+  });
+
+  it('should return a partial response for a Range request', function() {
+    const plugin = new goog.rangeRequests.Plugin();
+    return Promise.resolve(plugin.cacheWillMatch({
+      request: new Request(url, {headers: {range: 'bytes=2-3'}}),
+      cachedResponse: new Response('0123456789'),
+    })).then((response) => {
+      expect(response.status).to.equal(206);
+      return response.text();
+    }).then((text) => {
+      expect(text).to.equal('23');
+    });
+  });
+});
@@ -22,12 +22,14 @@
  */
 
 import ExpressRoute from './lib/express-route';
+import NavigationRoute from './lib/navigation-route';
 import RegExpRoute from './lib/regexp-route';
 import Route from './lib/route';
 import Router from './lib/router';
 
 export {
   ExpressRoute,
+  NavigationRoute,
   RegExpRoute,
   Route,
   Router,
@@ -34,6 +34,18 @@ export const validMethods = [
   'DELETE',
   'GET',
   'HEAD',
+  'OPTIONS',
+  'PATCH',
   'POST',
   'PUT',
 ];
+
+/**
+ * A wildcard value, `'*'`, which can be used in place of a specific HTTP
+ * method to match requests made with any method.
+ *
+ * @private
+ * @type {string}
+ * @memberof module:sw-routing
+ */
+export const anyMethod = '*';
@@ -17,8 +17,13 @@ import ErrorFactory from '../../../../lib/error-factory';
 
 const errors = {
   'express-route-requires-absolute-path': `When using ExpressRoute, you must
-    provide a path that starts with a '/' character. You can only match
-    same-origin requests. For more flexibility, use RegExpRoute.`,
+    provide a path that starts with a '/' character, or a full URL pattern
+    that includes the origin, like 'https://example.com/path/:param'. For
+    more flexibility, use RegExpRoute.`,
+  'empty-method-list': `When passing an array of methods to a Route, the
+    array must contain at least one method.`,
+  'unregister-route-but-not-found': `The route you're trying to unregister
+    was not previously registered.`,
 };
 
 export default new ErrorFactory(errors);
@@ -17,6 +17,57 @@ import ErrorFactory from './error-factory';
 import Route from './route';
 import pathToRegExp from 'path-to-regexp';
 
+/**
+ * Splits a full URL pattern, like `'https://cdn.example.com/assets/:file'`,
+ * into its origin and path portions.
+ *
+ * @private
+ * @type {RegExp}
+ * @memberof module:sw-routing
+ */
+const fullUrlPattern = /^([^/]+:\/\/[^/]+)(\/.*)$/;
+
+/**
+ * Matches the individual tokens within an origin pattern: a `*` wildcard, a
+ * named parameter (which must start with a letter, so that ports like `:8080`
+ * are treated literally), or a run of literal characters.
+ *
+ * @private
+ * @type {RegExp}
+ * @memberof module:sw-routing
+ */
+const originTokens = /\*|:([A-Za-z_]\w*)|[^*:]+|:/g;
+
+/**
+ * Converts an origin pattern, like `'https://:subdomain.example.com'` or
+ * `'https://*.example.com'`, into a regular expression.
+ *
+ * A `*` wildcard matches any run of characters within the origin, and a named
+ * parameter matches a single hostname label. The names of any named
+ * parameters are pushed on to `keys`, in the order they appear.
+ *
+ * @private
+ * @param {string} origin The origin pattern.
+ * @param {Array.<Object>} keys An array that will be populated with a
+ *        `{name}` entry for each named parameter.
+ * @return {RegExp} A case-insensitive regular expression matching the origin.
+ */
+function originToRegExp(origin, keys) {
+  let source = '';
+  origin.replace(originTokens, (token, name) => {
+    if (token === '*') {
+      source += '[^/]+';
+    } else if (name) {
+      keys.push({name});
+      source += '([^./:]+)';
+    } else {
+      source += token.replace(/[.+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  });
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
 /**
  * `ExpressRoute` is a helper class to make defining Express-style
  * [Routes]{@link Route} easy.
@@ -25,10 +76,13 @@ import pathToRegExp from 'path-to-regexp';
  * library to transform the `path` parameter into a regular expression, which is
  * then matched against the URL's path.
  *
- * Please note that `ExpressRoute` can only match requests for URLs that are on
- * the same-origin as the current page. If you need to match cross-origin
- * requests, you can use either a generic [`Route`]{@link Route} or a
- * [`RegExpRoute`]{@link RegExpRoute}.
+ * If `path` only contains a path, like `'/path/to/:file'`, then `ExpressRoute`
+ * will only match requests for URLs that are on the same origin as the service
+ * worker. To match cross-origin requests, pass in a full URL pattern that
+ * includes the origin, like `'https://cdn.example.com/assets/:version/:file'`.
+ * The origin portion may contain `*` wildcards, like
+ * `'https://*.example.com'`, and named parameters that match a single
+ * hostname label, like `'https://:subdomain.example.com'`.
  *
  * @example
  * // Any same-origin requests that start with /path/to and end with one
@@ -48,6 +102,14 @@ import pathToRegExp from 'path-to-regexp';
  * const router = new goog.routing.Router();
  * router.registerRoute({route});
  *
+ * @example
+ * // Requests for assets on any subdomain of example.com will match, with
+ * // params.subdomain, params.version and params.file passed to the handler.
+ * const cdnRoute = new goog.routing.ExpressRoute({
+ *   path: 'https://:subdomain.example.com/assets/:version/:file',
+ *   handler: new goog.runtimeCaching.CacheFirst(),
+ * });
+ *
  * @memberof module:sw-routing
  * @extends Route
  */
@@ -56,18 +118,30 @@ class ExpressRoute extends Route {
    * Constructor for ExpressRoute.
    *
    * @param {Object} input
-   * @param {string} input.path The path to use for routing.
+   * @param {string} input.path The path to use for routing. This can either
+   *        be a path starting with `'/'`, which only matches same-origin
+   *        requests, or a full URL pattern including the origin.
    *        If the path contains [named parameters](https://github.com/pillarjs/path-to-regexp#named-parameters),
    *        then an Object mapping parameter names to the corresponding value
    *        will be passed to the handler via `params`.
    * @param {Object} input.handler - An Object with a `handle` method that
    *        will be used to respond to matching requests.
-   * @param {string} [input.method] Only match requests that use this
-   *        HTTP method. Defaults to `'GET'` if not specified.
+   * @param {string|Array.<string>} [input.method] Only match requests that
+   *        use this HTTP method, or any of the methods if an array is passed.
+   *        Use `'*'` to match requests with any method. Defaults to `'GET'`
+   *        if not specified.
    */
   constructor({path, handler, method}) {
+    let originRegExp;
+    let originKeys = [];
     if (path.substring(0, 1) !== '/') {
-      throw ErrorFactory.createError('express-route-requires-absolute-path');
+      const fullUrlMatches = path.match(fullUrlPattern);
+      if (!fullUrlMatches) {
+        throw ErrorFactory.createError('express-route-requires-absolute-path');
+      }
+
+      originRegExp = originToRegExp(fullUrlMatches[1], originKeys);
+      path = fullUrlMatches[2];
     }
 
     let keys = [];
@@ -76,8 +150,15 @@ class ExpressRoute extends Route {
     // https://github.com/pillarjs/path-to-regexp#usage
     const regExp = pathToRegExp(path, keys);
     const match = ({url}) => {
-      // Return null immediately if we have a cross-origin request.
-      if (url.origin !== location.origin) {
+      let originMatches;
+      if (originRegExp) {
+        originMatches = url.origin.match(originRegExp);
+        if (!originMatches) {
+          return null;
+        }
+      } else if (url.origin !== location.origin) {
+        // Return null immediately if we have a cross-origin request and
+        // there's no origin in the path.
         return null;
       }
 
@@ -92,6 +173,9 @@ class ExpressRoute extends Route {
       // If there are no named parameters then this will end up returning {},
       // which is truthy, and therefore a sufficient return value.
       const namedParamsToValues = {};
+      originKeys.forEach((key, index) => {
+        namedParamsToValues[key.name] = originMatches[index + 1];
+      });
       keys.forEach((key, index) => {
         namedParamsToValues[key.name] = regexpMatches[index + 1];
       });
@@ -0,0 +1,100 @@
+/*
+ Copyright 2016 Google Inc. All Rights Reserved.
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+     http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+
+import Route from './route';
+import assert from '../../../../lib/assert';
+
+/**
+ * NavigationRoute is a helper class to make it easy to create a
+ * [Route]{@link Route} that matches browser navigation requests, i.e.
+ * requests whose [`mode`](https://developer.mozilla.org/en-US/docs/Web/API/Request/mode)
+ * is `'navigate'`.
+ *
+ * This is useful for single page apps, where every navigation should be
+ * responded to with the same "app shell" HTML.
+ *
+ * The `whitelist` and `blacklist` parameters let you restrict which
+ * navigations are matched. They are tested against the pathname and search
+ * portion of the request URL. A navigation request matches if it passes at
+ * least one of the `whitelist` regular expressions and none of the `blacklist`
+ * regular expressions. If a URL matches both lists, the blacklist wins.
+ *
+ * @memberof module:sw-routing
+ * @extends Route
+ *
+ * @example
+ * // Any navigation requests that aren't for /api/ or /admin/ URLs will be
+ * // responded to with the cached app shell.
+ * const route = new goog.routing.NavigationRoute({
+ *   blacklist: [/^\/api\//, /^\/admin\//],
+ *   handler: {
+ *     handle: () => caches.match('/app-shell.html'),
+ *   },
+ * });
+ *
+ * const router = new goog.routing.Router();
+ * router.registerRoute({route});
+ */
+class NavigationRoute extends Route {
+  /**
+   * Constructor for NavigationRoute.
+   *
+   * @param {Object} input
+   * @param {Array.<RegExp>} [input.whitelist] If any of these patterns match
+   *        the URL's pathname and search, the route will handle the request
+   *        (assuming the blacklist doesn't match). Defaults to `[/./]`, which
+   *        matches every navigation.
+   * @param {Array.<RegExp>} [input.blacklist] If any of these patterns match,
+   *        the route will not handle the request, even if the whitelist
+   *        matches. Defaults to `[]`.
+   * @param {Object} input.handler An Object with a `handle` method that
+   *        will be used to respond to matching requests.
+   */
+  constructor({whitelist, blacklist, handler} = {}) {
+    if (whitelist) {
+      assert.isInstance({whitelist}, Array);
+      whitelist.forEach((regExp) => assert.isInstance({regExp}, RegExp));
+    } else {
+      whitelist = [/./];
+    }
+
+    if (blacklist) {
+      assert.isInstance({blacklist}, Array);
+      blacklist.forEach((regExp) => assert.isInstance({regExp}, RegExp));
+    } else {
+      blacklist = [];
+    }
+
+    const match = ({event, url}) => {
+      if (event.request.mode !== 'navigate') {
+        return false;
+      }
+
+      const pathnameAndSearch = url.pathname + url.search;
+      if (blacklist.some((regExp) => regExp.test(pathnameAndSearch))) {
+        return false;
+      }
+
+      return whitelist.some((regExp) => regExp.test(pathnameAndSearch));
+    };
+
+    super({match, handler});
+
+    this.whitelist = whitelist;
+    this.blacklist = blacklist;
+  }
+}
+
+export default NavigationRoute;
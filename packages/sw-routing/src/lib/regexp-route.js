@@ -54,8 +54,10 @@ class RegExpRoute extends Route {
    *        then the array of captured values will be passed to the handler via
    *        `params`.
    * @param {function} input.handler The handler to manage the response.
-   * @param {string} [input.method] Only match requests that use this
-   *        HTTP method. Defaults to `'GET'` if not specified.
+   * @param {string|Array.<string>} [input.method] Only match requests that
+   *        use this HTTP method, or any of the methods if an array is passed.
+   *        Use `'*'` to match requests with any method. Defaults to `'GET'`
+   *        if not specified.
    */
   constructor({regExp, handler, method}) {
     assert.isInstance({regExp}, RegExp);
@@ -13,8 +13,9 @@
  limitations under the License.
 */
 
+import ErrorFactory from './error-factory';
 import assert from '../../../../lib/assert';
-import {defaultMethod, validMethods} from './constants';
+import {anyMethod, defaultMethod, validMethods} from './constants';
 
 /**
  * A `Route` allows you to tell a service worker that it should handle
@@ -76,8 +77,10 @@ class Route {
    *        function is passed an object with the same `url` and `event`
    *        properties as `match` received, along with an additional property,
    *        `params`, set to the truthy value that `match` returned.
-   * @param {string} [input.method] Only match requests that use this
-   *        HTTP method. Defaults to `'GET'` if not specified.
+   * @param {string|Array.<string>} [input.method] Only match requests that
+   *        use this HTTP method, or any of the methods if an array is passed.
+   *        Use `'*'` to match requests with any method. Defaults to `'GET'`
+   *        if not specified.
    */
   constructor({match, handler, method} = {}) {
     assert.isType({match}, 'function');
@@ -85,13 +88,55 @@ class Route {
 
     this.match = match;
     this.handler = handler;
-    if (method) {
-      assert.isOneOf({method}, validMethods);
+    if (Array.isArray(method)) {
+      if (method.length === 0) {
+        throw ErrorFactory.createError('empty-method-list');
+      }
+      method.forEach((methodName) => {
+        assert.isOneOf({method: methodName}, validMethods);
+      });
+      this.method = method;
+    } else if (method) {
+      if (method !== anyMethod) {
+        assert.isOneOf({method}, validMethods);
+      }
       this.method = method;
     } else {
       this.method = defaultMethod;
     }
   }
+
+  /**
+   * Checks whether a request made with the given HTTP method could be handled
+   * by this route, based on the `method` it was configured with.
+   *
+   * @example
+   * const route = new goog.routing.Route({
+   *   match,
+   *   handler,
+   *   method: ['PUT', 'PATCH'],
+   * });
+   *
+   * route.matchesMethod({method: 'PATCH'}); // true
+   * route.matchesMethod({method: 'GET'}); // false
+   *
+   * @param {Object} input
+   * @param {string} input.method The HTTP method used by a request.
+   * @return {boolean} `true` if the method can be handled by this route.
+   */
+  matchesMethod({method} = {}) {
+    assert.isType({method}, 'string');
+
+    if (this.method === anyMethod) {
+      return true;
+    }
+
+    if (Array.isArray(this.method)) {
+      return this.method.includes(method);
+    }
+
+    return this.method === method;
+  }
 }
 
 export default Route;
@@ -13,6 +13,7 @@
  limitations under the License.
 */
 
+import ErrorFactory from './error-factory';
 import Route from './route';
 import assert from '../../../../lib/assert';
 
@@ -21,6 +22,12 @@ import assert from '../../../../lib/assert';
  * event listener](https://developer.mozilla.org/en-US/docs/Web/API/FetchEvent)
  * that will respond to network requests if there's a matching route.
  *
+ * Each `Router` instance keeps a single, ordered list of routes and registers
+ * exactly one `fetch` event listener, regardless of how many times
+ * `registerRoute()` or `registerRoutes()` is called. Routes are evaluated in
+ * the order in which they were registered, and the first matching route
+ * handles the request.
+ *
  * It also allows you to define a "default" handler that applies to any requests
  * that don't explicitly match a `Route`, and a "catch" handler that responds
  * to any requests that throw an exception while being routed.
@@ -48,6 +55,22 @@ import assert from '../../../../lib/assert';
  * router.setDefaultHandler({handler: new goog.runtimeCaching.NetworkFirst()});
  */
 class Router {
+  /**
+   * Constructs a new `Router` instance, which registers a single `fetch`
+   * event listener that consults all of the routes registered with this
+   * instance.
+   */
+  constructor() {
+    this._routes = [];
+
+    self.addEventListener('fetch', (event) => {
+      const responsePromise = this.handleRequest({event});
+      if (responsePromise) {
+        event.respondWith(responsePromise);
+      }
+    });
+  }
+
   /**
    * An optional default handler will have its handle method called when a
    * request doesn't have a matching route.
@@ -86,10 +109,124 @@ class Router {
     this.catchHandler = handler;
   }
 
+  /**
+   * Looks up the first registered route that matches the request associated
+   * with `event`, and returns the response promise from its handler. If no
+   * route matches, the default handler is used, if one has been set.
+   *
+   * This is called automatically by the `fetch` event listener that the
+   * `Router` registers, but it can also be called directly if you'd rather
+   * manage the `fetch` event yourself.
+   *
+   * @example
+   * self.addEventListener('fetch', (event) => {
+   *   const responsePromise = router.handleRequest({event});
+   *   if (responsePromise) {
+   *     event.respondWith(responsePromise);
+   *   }
+   * });
+   *
+   * @param {Object} input
+   * @param {FetchEvent} input.event The event passed in to a `fetch` handler.
+   * @return {Promise.<Response>|undefined} Returns a promise for a response,
+   *         taken from the matching route's handler or the default handler.
+   *         If the request shouldn't be handled by the router, `undefined` is
+   *         returned instead.
+   */
+  handleRequest({event} = {}) {
+    assert.isInstance({event}, FetchEvent);
+
+    const url = new URL(event.request.url);
+    if (!url.protocol.startsWith('http')) {
+      return;
+    }
+
+    let responsePromise;
+    for (let route of this._routes) {
+      if (!route.matchesMethod({method: event.request.method})) {
+        continue;
+      }
+
+      const matchResult = route.match({url, event});
+      if (matchResult) {
+        let params = matchResult;
+
+        if (Array.isArray(params) && params.length === 0) {
+          // Instead of passing an empty array in as params, use undefined.
+          params = undefined;
+        } else if (params.constructor === Object &&
+                   Object.keys(params).length === 0) {
+          // Instead of passing an empty object in as params, use undefined.
+          params = undefined;
+        }
+
+        responsePromise = this._handle(route.handler, {url, event, params});
+        break;
+      }
+    }
+
+    if (!responsePromise && this.defaultHandler) {
+      responsePromise = this._handle(this.defaultHandler, {url, event});
+    }
+
+    if (responsePromise && this.catchHandler) {
+      responsePromise = responsePromise.catch((error) => {
+        return this.catchHandler.handle({url, event, error});
+      });
+    }
+
+    return responsePromise;
+  }
+
+  /**
+   * Calls `handler.handle()`. If the handler also has a `handlerDidComplete`
+   * method, as the `goog.runtimeCaching` handlers do, it's called with the
+   * outcome and timing once the response promise settles. That happens in
+   * the background, extending the event's lifetime, so it doesn't delay the
+   * response, and any error it raises doesn't affect the response either.
+   *
+   * @private
+   * @param {Object} handler An Object with a `handle` method.
+   * @param {Object} input The parameters to pass to `handle()`.
+   * @return {Promise.<Response>|undefined} The value returned by `handle()`.
+   */
+  _handle(handler, input) {
+    const startTime = Date.now();
+    const responsePromise = handler.handle(input);
+    if (!responsePromise || typeof handler.handlerDidComplete !== 'function') {
+      return responsePromise;
+    }
+
+    const {event} = input;
+    const notify = (outcome) => {
+      return handler.handlerDidComplete(Object.assign({
+        request: event.request,
+        startTime,
+        duration: Date.now() - startTime,
+      }, outcome));
+    };
+    const completed = Promise.resolve(responsePromise)
+      .then((response) => notify({response}), (error) => notify({error}))
+      .catch(() => {});
+
+    try {
+      event.waitUntil(completed);
+    } catch (err) {
+      // The event is no longer active, e.g. because handleRequest() wasn't
+      // called synchronously. The callbacks still run, just without extending
+      // the event's lifetime.
+    }
+
+    return responsePromise;
+  }
+
   /**
    * Register routes will take an array of Routes to register with the
    * router.
    *
+   * The routes are appended to any previously registered routes, so routes
+   * registered earlier take precedence.
+   *
    * @example
    * router.registerRoutes({
    *   routes: [
@@ -105,57 +242,16 @@ class Router {
   registerRoutes({routes} = {}) {
     assert.isInstance({routes}, Array);
 
-    self.addEventListener('fetch', (event) => {
-      const url = new URL(event.request.url);
-      if (!url.protocol.startsWith('http')) {
-        return;
-      }
-
-      let responsePromise;
-      for (let route of (routes || [])) {
-        if (route.method !== event.request.method) {
-          continue;
-        }
-
-        const matchResult = route.match({url, event});
-        if (matchResult) {
-          let params = matchResult;
-
-          if (Array.isArray(params) && params.length === 0) {
-            // Instead of passing an empty array in as params, use undefined.
-            params = undefined;
-          } else if (params.constructor === Object &&
-                     Object.keys(params).length === 0) {
-            // Instead of passing an empty object in as params, use undefined.
-            params = undefined;
-          }
-
-          responsePromise = route.handler.handle({url, event, params});
-          break;
-        }
-      }
-
-      if (!responsePromise && this.defaultHandler) {
-        responsePromise = this.defaultHandler.handle({url, event});
-      }
-
-      if (responsePromise && this.catchHandler) {
-        responsePromise = responsePromise.catch((error) => {
-          return this.catchHandler.handle({url, event, error});
-        });
-      }
-
-      if (responsePromise) {
-        event.respondWith(responsePromise);
-      }
-    });
+    for (let route of routes) {
+      this.registerRoute({route});
+    }
   }
 
   /**
    * Registers a single route with the router.
    *
    * @example
-   * router.registerRoutes({
+   * router.registerRoute({
    *   route: new Route({ ... })
    * });
    *
@@ -165,7 +261,32 @@ class Router {
   registerRoute({route} = {}) {
     assert.isInstance({route}, Route);
 
-    this.registerRoutes({routes: [route]});
+    this._routes.push(route);
+  }
+
+  /**
+   * Unregisters a single route with the router, so that it will no longer
+   * be used to respond to requests.
+   *
+   * @example
+   * const route = new Route({ ... });
+   * router.registerRoute({route});
+   *
+   * // Later, when the route should no longer apply:
+   * router.unregisterRoute({route});
+   *
+   * @param {Object} input
+   * @param {Route} input.route The route to unregister.
+   */
+  unregisterRoute({route} = {}) {
+    assert.isInstance({route}, Route);
+
+    const routeIndex = this._routes.indexOf(route);
+    if (routeIndex === -1) {
+      throw ErrorFactory.createError('unregister-route-but-not-found');
+    }
+
+    this._routes.splice(routeIndex, 1);
   }
 }
 
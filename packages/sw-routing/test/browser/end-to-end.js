@@ -53,6 +53,25 @@ describe('End to End Test of Route', function() {
         iframe.contentWindow.fetch('/method/put', {method: 'GET'})
           .then((response) => expect(response.status).to.equal(404)),
 
+        iframe.contentWindow.fetch('/method/multiple', {method: 'PATCH'})
+          .then((response) => response.text())
+          .then((text) => expect(text).to.equal('PATCH response')),
+
+        iframe.contentWindow.fetch('/method/multiple', {method: 'DELETE'})
+          .then((response) => response.text())
+          .then((text) => expect(text).to.equal('DELETE response')),
+
+        iframe.contentWindow.fetch('/method/multiple', {method: 'GET'})
+          .then((response) => expect(response.status).to.equal(404)),
+
+        iframe.contentWindow.fetch('/method/any', {method: 'OPTIONS'})
+          .then((response) => response.text())
+          .then((text) => expect(text).to.equal('any response')),
+
+        iframe.contentWindow.fetch('/method/any', {method: 'GET'})
+          .then((response) => response.text())
+          .then((text) => expect(text).to.equal('any response')),
+
         iframe.contentWindow.fetch('/echo3/1st/abc/2nd/def/3rd/ghi')
           .then((response) => response.json())
           .then((json) => expect(json).to.eql(['abc', 'def', 'ghi'])),
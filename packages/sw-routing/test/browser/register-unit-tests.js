@@ -4,7 +4,9 @@ describe('Service Worker Unit Test Registration', function() {
     'namespace.js',
     'route.js',
     'express-route.js',
+    'navigation-route.js',
     'regexp-route.js',
+    'router.js',
   ].map((script) => `${pathPrefix}${script}`);
 
   swUnitTests.forEach(function(swUnitTestPath) {
@@ -22,6 +22,23 @@ routes.push(new goog.routing.Route({
   method: 'PUT',
 }));
 
+routes.push(new goog.routing.Route({
+  match: ({url}) => url.pathname.endsWith('method/multiple'),
+  handler: {
+    handle: ({event}) => Promise.resolve(
+      new Response(`${event.request.method} response`)),
+  },
+  method: ['PATCH', 'DELETE'],
+}));
+
+routes.push(new goog.routing.Route({
+  match: ({url}) => url.pathname.endsWith('method/any'),
+  handler: {
+    handle: () => Promise.resolve(new Response('any response')),
+  },
+  method: '*',
+}));
+
 routes.push(new goog.routing.Route({
   match: ({url}) => url.pathname.endsWith('echobody'),
   handler: {
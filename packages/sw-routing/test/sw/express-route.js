@@ -63,4 +63,77 @@ describe('Test of the ExpressRoute class', function() {
 
     expect(route.match({url: namedParameterNonMatchingUrl})).not.to.be.ok;
   });
+
+  it(`should throw when ExpressRoute() is called with a relative path`, function() {
+    let thrownError = null;
+    try {
+      new goog.routing.ExpressRoute({handler, path: 'relative/path'});
+    } catch(err) {
+      thrownError = err;
+    }
+
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('express-route-requires-absolute-path');
+  });
+
+  it(`should not match cross-origin URLs when the path doesn't include an origin`, function() {
+    const crossOriginUrl = new URL(path, 'https://cross-origin.example.com');
+
+    const route = new goog.routing.ExpressRoute({handler, path});
+    expect(route.match({url: crossOriginUrl})).not.to.be.ok;
+  });
+
+  it(`should properly match cross-origin URLs when the path includes an origin`, function() {
+    const origin = 'https://cdn.example.com';
+    const matchingUrl = new URL(path, origin);
+    const sameOriginUrl = new URL(path, location);
+    const otherOriginUrl = new URL(path, 'https://other.example.com');
+
+    const route = new goog.routing.ExpressRoute({
+      handler, path: `${origin}${path}`,
+    });
+    expect(route.match({url: matchingUrl})).to.be.ok;
+    expect(route.match({url: sameOriginUrl})).not.to.be.ok;
+    expect(route.match({url: otherOriginUrl})).not.to.be.ok;
+  });
+
+  it(`should properly match URLs with wildcards in the origin`, function() {
+    const route = new goog.routing.ExpressRoute({
+      handler, path: `https://*.example.com${path}`,
+    });
+
+    expect(route.match({url: new URL(path, 'https://cdn.example.com')})).to.be.ok;
+    expect(route.match({url: new URL(path, 'https://a.b.example.com')})).to.be.ok;
+    expect(route.match({url: new URL(path, 'https://example.org')})).not.to.be.ok;
+    expect(route.match({url: new URL(path, 'http://cdn.example.com')})).not.to.be.ok;
+  });
+
+  it(`should properly match URLs with named parameters in the origin and path`, function() {
+    const route = new goog.routing.ExpressRoute({
+      handler, path: 'https://:subdomain.example.com/assets/:version/:file',
+    });
+
+    const match = route.match({
+      url: new URL('https://cdn.example.com/assets/v1/app.js'),
+    });
+    expect(Object.keys(match).length).to.equal(3);
+    expect(match.subdomain).to.equal('cdn');
+    expect(match.version).to.equal('v1');
+    expect(match.file).to.equal('app.js');
+
+    expect(route.match({
+      url: new URL('https://a.cdn.example.com/assets/v1/app.js'),
+    })).not.to.be.ok;
+  });
+
+  it(`should treat ports in the origin literally`, function() {
+    const route = new goog.routing.ExpressRoute({
+      handler, path: `https://example.com:8080${path}`,
+    });
+
+    const match = route.match({url: new URL(path, 'https://example.com:8080')});
+    expect(match).to.be.ok;
+    expect(Object.keys(match).length).to.equal(0);
+    expect(route.match({url: new URL(path, 'https://example.com')})).not.to.be.ok;
+  });
 });
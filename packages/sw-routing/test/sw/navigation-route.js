@@ -0,0 +1,68 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-routing/build/sw-routing.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the NavigationRoute class', function() {
+  const handler = {
+    handle: () => {},
+  };
+  const invalidHandler = {};
+  // A Request can't be constructed with mode: 'navigate', so a minimal
+  // stand-in for the FetchEvent is used instead.
+  const navigationEvent = {request: {mode: 'navigate'}};
+  const nonNavigationEvent = {request: {mode: 'cors'}};
+
+  it(`should throw when NavigationRoute() is called without a valid handler`, function() {
+    expect(() => new goog.routing.NavigationRoute()).to.throw();
+    expect(() => new goog.routing.NavigationRoute({handler: invalidHandler})).to.throw();
+  });
+
+  it(`should throw when NavigationRoute() is called with an invalid whitelist or blacklist`, function() {
+    expect(() => new goog.routing.NavigationRoute({handler, whitelist: /./})).to.throw();
+    expect(() => new goog.routing.NavigationRoute({handler, whitelist: ['/']})).to.throw();
+    expect(() => new goog.routing.NavigationRoute({handler, blacklist: /./})).to.throw();
+    expect(() => new goog.routing.NavigationRoute({handler, blacklist: ['/']})).to.throw();
+  });
+
+  it(`should not throw when NavigationRoute() is called with a valid handler`, function() {
+    expect(() => new goog.routing.NavigationRoute({handler})).not.to.throw();
+  });
+
+  it(`should match all navigation requests by default`, function() {
+    const route = new goog.routing.NavigationRoute({handler});
+    expect(route.match({event: navigationEvent, url: new URL('/', location)})).to.be.ok;
+    expect(route.match({event: navigationEvent, url: new URL('/any/path?q=1', location)})).to.be.ok;
+  });
+
+  it(`should not match non-navigation requests`, function() {
+    const route = new goog.routing.NavigationRoute({handler});
+    expect(route.match({event: nonNavigationEvent, url: new URL('/', location)})).not.to.be.ok;
+  });
+
+  it(`should only match whitelisted navigation requests`, function() {
+    const route = new goog.routing.NavigationRoute({
+      handler, whitelist: [/^\/app\//, /\?shell$/],
+    });
+    expect(route.match({event: navigationEvent, url: new URL('/app/page', location)})).to.be.ok;
+    expect(route.match({event: navigationEvent, url: new URL('/other?shell', location)})).to.be.ok;
+    expect(route.match({event: navigationEvent, url: new URL('/other', location)})).not.to.be.ok;
+  });
+
+  it(`should not match blacklisted navigation requests, even if they're whitelisted`, function() {
+    const route = new goog.routing.NavigationRoute({
+      handler, whitelist: [/^\/app\//], blacklist: [/^\/app\/admin\//, /^\/api\//],
+    });
+    expect(route.match({event: navigationEvent, url: new URL('/app/page', location)})).to.be.ok;
+    expect(route.match({event: navigationEvent, url: new URL('/app/admin/page', location)})).not.to.be.ok;
+    expect(route.match({event: navigationEvent, url: new URL('/api/data', location)})).not.to.be.ok;
+  });
+});
@@ -51,4 +51,42 @@ describe('Test of the Route class', function() {
     const route = new goog.routing.Route({handler, match});
     expect(route.method).to.equal('GET');
   });
+
+  it(`should accept an array of methods when Route() is called`, function() {
+    const methods = ['PATCH', 'OPTIONS'];
+    const route = new goog.routing.Route({handler, match, method: methods});
+    expect(route.method).to.eql(methods);
+    expect(route.matchesMethod({method: 'PATCH'})).to.be.true;
+    expect(route.matchesMethod({method: 'OPTIONS'})).to.be.true;
+    expect(route.matchesMethod({method: 'GET'})).to.be.false;
+  });
+
+  it(`should throw when Route() is called with an array containing an invalid method`, function() {
+    expect(() => new goog.routing.Route({handler, match, method: ['GET', invalidMethod]})).to.throw();
+  });
+
+  it(`should throw when Route() is called with an empty array of methods`, function() {
+    let thrownError = null;
+    try {
+      new goog.routing.Route({handler, match, method: []});
+    } catch(err) {
+      thrownError = err;
+    }
+
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('empty-method-list');
+  });
+
+  it(`should match any method when Route() is called with the '*' wildcard`, function() {
+    const route = new goog.routing.Route({handler, match, method: '*'});
+    ['DELETE', 'GET', 'HEAD', 'OPTIONS', 'PATCH', 'POST', 'PUT'].forEach((method) => {
+      expect(route.matchesMethod({method})).to.be.true;
+    });
+  });
+
+  it(`should only match the configured method when Route() is called with a single method`, function() {
+    const route = new goog.routing.Route({handler, match, method: 'PATCH'});
+    expect(route.matchesMethod({method: 'PATCH'})).to.be.true;
+    expect(route.matchesMethod({method: 'GET'})).to.be.false;
+  });
 });
@@ -0,0 +1,180 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-routing/build/sw-routing.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the Router class', function() {
+  const getFetchEvent = (path, method = 'GET') => new FetchEvent('fetch', {
+    request: new Request(path, {method}),
+  });
+  const createRoute = (path, body) => new goog.routing.Route({
+    match: ({url}) => url.pathname === path,
+    handler: {
+      handle: () => Promise.resolve(new Response(body)),
+    },
+  });
+
+  it(`should throw when unregisterRoute() is called with a route that wasn't registered`, function() {
+    const router = new goog.routing.Router();
+    const route = createRoute('/not-registered', 'response');
+
+    let thrownError = null;
+    try {
+      router.unregisterRoute({route});
+    } catch(err) {
+      thrownError = err;
+    }
+
+    expect(thrownError).to.exist;
+    expect(thrownError.name).to.equal('unregister-route-but-not-found');
+  });
+
+  it(`should use the first matching route across multiple registrations`, function() {
+    const path = '/first-match';
+    const router = new goog.routing.Router();
+    router.registerRoute({route: createRoute(path, 'first')});
+    router.registerRoutes({routes: [createRoute(path, 'second')]});
+
+    return router.handleRequest({event: getFetchEvent(path)})
+      .then((response) => response.text())
+      .then((text) => expect(text).to.equal('first'));
+  });
+
+  it(`should not use a route after unregisterRoute() is called`, function() {
+    const path = '/unregistered';
+    const router = new goog.routing.Router();
+    const firstRoute = createRoute(path, 'first');
+    router.registerRoute({route: firstRoute});
+    router.registerRoute({route: createRoute(path, 'second')});
+    router.unregisterRoute({route: firstRoute});
+
+    return router.handleRequest({event: getFetchEvent(path)})
+      .then((response) => response.text())
+      .then((text) => expect(text).to.equal('second'));
+  });
+
+  it(`should only use the defaultHandler when no route matches`, function() {
+    const path = '/default';
+    const router = new goog.routing.Router();
+    router.registerRoute({route: createRoute(path, 'route')});
+    router.setDefaultHandler({handler: {
+      handle: () => Promise.resolve(new Response('default')),
+    }});
+
+    return Promise.all([
+      router.handleRequest({event: getFetchEvent(path)})
+        .then((response) => response.text())
+        .then((text) => expect(text).to.equal('route')),
+      router.handleRequest({event: getFetchEvent('/does-not-match')})
+        .then((response) => response.text())
+        .then((text) => expect(text).to.equal('default')),
+    ]);
+  });
+
+  describe('handlerDidComplete', function() {
+    // waitUntil() can't be called on events that weren't dispatched by the
+    // browser, so record the promises passed to it instead.
+    const getRecordingFetchEvent = (path) => {
+      const event = getFetchEvent(path);
+      event.lifetimePromises = [];
+      event.waitUntil = (promise) => event.lifetimePromises.push(promise);
+      return event;
+    };
+
+    it(`should call handlerDidComplete without delaying the response`, function() {
+      const path = '/handler-did-complete';
+      let resolveCallback;
+      let completeInput;
+      const router = new goog.routing.Router();
+      router.registerRoute({route: new goog.routing.Route({
+        match: ({url}) => url.pathname === path,
+        handler: {
+          handle: () => Promise.resolve(new Response('response')),
+          handlerDidComplete: (input) => {
+            completeInput = input;
+            return new Promise((resolve) => resolveCallback = resolve);
+          },
+        },
+      })});
+
+      const event = getRecordingFetchEvent(path);
+      return router.handleRequest({event})
+        .then((response) => response.text())
+        .then((text) => {
+          expect(text).to.equal('response');
+          expect(event.lifetimePromises.length).to.equal(1);
+          expect(completeInput.request).to.equal(event.request);
+          expect(completeInput.response).to.be.instanceof(Response);
+          expect(completeInput.duration).to.be.at.least(0);
+
+          resolveCallback();
+          return event.lifetimePromises[0];
+        });
+    });
+
+    it(`should not let a failing handlerDidComplete affect the response`, function() {
+      const path = '/handler-did-complete-error';
+      const router = new goog.routing.Router();
+      router.registerRoute({route: new goog.routing.Route({
+        match: ({url}) => url.pathname === path,
+        handler: {
+          handle: () => Promise.resolve(new Response('response')),
+          handlerDidComplete: () => {
+            throw new Error('Injected error.');
+          },
+        },
+      })});
+
+      const event = getRecordingFetchEvent(path);
+      return router.handleRequest({event})
+        .then((response) => response.text())
+        .then((text) => {
+          expect(text).to.equal('response');
+          return event.lifetimePromises[0];
+        });
+    });
+
+    it(`should pass the error to handlerDidComplete when handle() rejects`, function() {
+      const path = '/handler-did-complete-rejection';
+      const error = new Error('Injected error.');
+      let completeInput;
+      const router = new goog.routing.Router();
+      router.registerRoute({route: new goog.routing.Route({
+        match: ({url}) => url.pathname === path,
+        handler: {
+          handle: () => Promise.reject(error),
+          handlerDidComplete: (input) => completeInput = input,
+        },
+      })});
+
+      const event = getRecordingFetchEvent(path);
+      return router.handleRequest({event})
+        .then(() => {
+          throw new Error('Expected an error.');
+        }, (err) => {
+          expect(err).to.equal(error);
+          return event.lifetimePromises[0];
+        })
+        .then(() => {
+          expect(completeInput.error).to.equal(error);
+          expect(completeInput.response).to.not.exist;
+        });
+    });
+  });
+
+  it(`should return undefined when there's no matching route and no defaultHandler`, function() {
+    const router = new goog.routing.Router();
+    router.registerRoute({route: createRoute('/will-match', 'response')});
+
+    expect(router.handleRequest({event: getFetchEvent('/will-not-match')}))
+      .to.be.undefined;
+  });
+});
@@ -40,8 +40,11 @@ export const defaultCacheName = cacheName;
  */
 export const pluginCallbacks = [
   'cacheDidUpdate',
+  'cacheKeyWillBeUsed',
   'cacheWillMatch',
   'cacheWillUpdate',
   'fetchDidFail',
+  'fetchDidSucceed',
+  'handlerDidComplete',
   'requestWillFetch',
 ];
@@ -18,6 +18,10 @@ import RequestWrapper from './request-wrapper';
 /**
  * This a base class which each caching strategy extends.
  *
+ * When a handler is used with a {@link module:sw-routing.Router|Router}, any
+ * `handlerDidComplete` callbacks registered on its `RequestWrapper` are
+ * called with the outcome and timing once its `handle()` method settles.
+ *
  * @memberof module:sw-runtime-caching
  */
 class Handler {
@@ -38,6 +42,35 @@ class Handler {
     }
   }
 
+  /**
+   * Calls any `handlerDidComplete` callbacks registered on the
+   * `RequestWrapper`, in order. Errors raised by the callbacks are ignored, so
+   * that a failing callback doesn't prevent the others from running.
+   *
+   * This is called automatically by the
+   * {@link module:sw-routing.Router|Router} once the promise returned by
+   * `handle()` settles, without delaying the response.
+   *
+   * @param {Object} input
+   * @param {Request} input.request The request that was handled.
+   * @param {Response} [input.response] The response, if `handle()` resolved.
+   * @param {*} [input.error] The error, if `handle()` rejected.
+   * @param {number} input.startTime The `Date.now()` value when handling
+   *        started.
+   * @param {number} input.duration How long handling took, in milliseconds.
+   * @return {Promise} Resolves once every callback has completed.
+   */
+  handlerDidComplete({request, response, error, startTime, duration}) {
+    const callbacks =
+      this.requestWrapper.pluginCallbacks.handlerDidComplete || [];
+    return callbacks.reduce((previous, callback) => {
+      return previous
+        .then(() => callback({request, response, error, startTime, duration}))
+        // Ignore the error and move on to the next callback.
+        .catch(() => {});
+    }, Promise.resolve());
+  }
+
   /**
    * An abstract method that each subclass must implement.
    *
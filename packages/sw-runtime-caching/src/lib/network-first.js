@@ -31,10 +31,40 @@ import assert from '../../../../lib/assert';
  * const router = new goog.routing.Router();
  * router.registerRoute({route});
  *
+ * @example
+ * // Fall back to a previously cached response if the network hasn't
+ * // responded within three seconds.
+ * const handler = new goog.runtimeCaching.NetworkFirst({
+ *   networkTimeoutSeconds: 3,
+ * });
+ *
  * @memberof module:sw-runtime-caching
  * @extends Handler
  */
 class NetworkFirst extends Handler {
+  /**
+   * Constructor for a new NetworkFirst instance.
+   *
+   * @param {Object} input
+   * @param {RequestWrapper} [input.requestWrapper] An optional `RequestWrapper`
+   *        that is used to configure the cache name and request plugins. If
+   *        not provided, a new `RequestWrapper` using the
+   *        [default cache name](#defaultCacheName) will be used.
+   * @param {Number} [input.networkTimeoutSeconds] If set, any network requests
+   *        that fail to respond within the timeout will fall back to the cache.
+   *        The network response will still be used to update the cache once
+   *        it arrives.
+   */
+  constructor(input = {}) {
+    super(input);
+
+    const {networkTimeoutSeconds} = input;
+    if (networkTimeoutSeconds) {
+      assert.isType({networkTimeoutSeconds}, 'number');
+      this.networkTimeoutSeconds = networkTimeoutSeconds;
+    }
+  }
+
   /**
    * The handle method will be called by the
    * {@link module:sw-routing.Route|Route} class when a route matches a request.
@@ -48,19 +78,48 @@ class NetworkFirst extends Handler {
   async handle({event} = {}) {
     assert.isInstance({event}, FetchEvent);
 
-    let response;
-    try {
-      response = await this.requestWrapper.fetchAndCache({
-        request: event.request,
-      });
-      if (response) {
-        return response;
-      }
-    } catch (error) {
-      // no-op
+    const promises = [];
+    let timeoutId;
+
+    if (this.networkTimeoutSeconds) {
+      promises.push(new Promise((resolve) => {
+        timeoutId = setTimeout(async () => {
+          // Only let the timeout win the race if there's something cached to
+          // respond with. Otherwise, including when reading from the cache
+          // fails, keep waiting on the network.
+          const cachedResponse = await this.requestWrapper.match({
+            request: event.request,
+          }).catch(() => undefined);
+          if (cachedResponse) {
+            resolve(cachedResponse);
+          }
+        }, this.networkTimeoutSeconds * 1000);
+      }));
     }
 
-    return await this.requestWrapper.match({request: event.request});
+    // This has to be called before anything is awaited, so that the event's
+    // lifetime can be extended to cover caching the network response.
+    const networkPromise = this.requestWrapper.fetchAndCache({
+      request: event.request,
+      event,
+    }).then((response) => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+
+      return response ?
+        response : this.requestWrapper.match({request: event.request});
+    }).catch(() => {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+
+      return this.requestWrapper.match({request: event.request});
+    });
+
+    promises.push(networkPromise);
+
+    return await Promise.race(promises);
   }
 }
 
@@ -16,6 +16,9 @@
 import assert from '../../../../lib/assert';
 import {pluginCallbacks, defaultCacheName} from './constants';
 import ErrorFactory from './error-factory';
+import {
+  executeQuotaErrorCallbacks, hasQuotaErrorCallbacks,
+} from '../../../../lib/quota-error-callbacks';
 
 /**
  * This class is used by the various subclasses of `Handler` to configure the
@@ -28,14 +31,51 @@ import ErrorFactory from './error-factory';
  *
  *   - `cacheWillUpdate({request, response})`: Called prior to writing an entry
  *   to the cache, allowing the callback to decide whether or not the cache
- *   entry should be written.
- *   - `cacheDidUpdate({cacheName, oldResponse, newResponse})`: Called whenever
- *   an entry is written to the cache, giving the callback a chance to notify
- *   clients about the update or implement cache expiration.
- *   - `cacheWillMatch({cachedResponse})`: Called whenever a response is read
- *   from the cache and is about to be used, giving the callback a chance to
- *   perform validity/freshness checks.
+ *   entry should be written. The callback can return `true` to keep the
+ *   response, a `Response` to cache in its place, or a falsy value to prevent
+ *   caching.
+ *   - `cacheDidUpdate({cacheName, oldResponse, newResponse, request, event})`:
+ *   Called whenever an entry is written to the cache, giving the callback a
+ *   chance to notify clients about the update or implement cache expiration.
+ *   `request` is the key the entry was written with, after any
+ *   `cacheKeyWillBeUsed` callbacks have run. `event` is the `FetchEvent`
+ *   passed to the handler, if there was one.
+ *   - `cacheWillMatch({cacheName, request, cacheKey, cachedResponse})`: Called
+ *   whenever a response is read from the cache and is about to be used, giving
+ *   the callback a chance to perform validity/freshness checks, or to return a
+ *   different response, like a partial response for a `Range` request.
+ *   `cacheKey` is the key the response was read with, after any
+ *   `cacheKeyWillBeUsed` callbacks have run. The callback can return the
+ *   response to use, or a falsy value to treat it as a cache miss.
+ *   - `cacheKeyWillBeUsed({request, mode})`: Called before the cache is read
+ *   (`mode` is `'read'`) or written to (`mode` is `'write'`), giving the
+ *   callback a chance to return a different `Request` or URL to use as the
+ *   cache key, e.g. one without authentication tokens in its query string.
+ *   - `requestWillFetch({request})`: Called before a network request is made,
+ *   giving the callback a chance to return a modified `Request`.
+ *   - `fetchDidSucceed({request, response})`: Called whenever a network
+ *   request succeeds, giving the callback a chance to return a modified
+ *   `Response` before it's used.
  *   - `fetchDidFail({request})`: Called whenever a network request fails.
+ *   - `handlerDidComplete({request, response, error, startTime, duration})`:
+ *   Called once a {@link module:sw-runtime-caching.Handler|Handler} used with
+ *   a {@link module:sw-routing.Router|Router} has finished handling a
+ *   request, whether it produced a `response` or failed with an `error`.
+ *   `startTime` is the `Date.now()` value when handling started, and
+ *   `duration` is in milliseconds. It runs in the background, without
+ *   delaying the response, and errors it raises are ignored.
+ *
+ * Every callback may return either a value or a promise for a value, and the
+ * wrapper waits for it to settle before moving on. Callbacks of the same type
+ * are run one at a time, in the order the plugins were registered. If a
+ * callback throws or rejects, the promise returned by the `RequestWrapper`
+ * method that triggered it is rejected with that error.
+ *
+ * Multiple plugins can implement `cacheWillUpdate` and `cacheWillMatch`, with
+ * each callback receiving the response returned by the previous one. As soon
+ * as one of them returns a falsy value, the remaining callbacks are skipped
+ * and the response isn't cached (for `cacheWillUpdate`) or isn't used (for
+ * `cacheWillMatch`).
  *
  * @memberof module:sw-runtime-caching
  */
@@ -90,18 +130,6 @@ class RequestWrapper {
         }
       });
     }
-
-    if (this.pluginCallbacks.cacheWillUpdate) {
-      if (this.pluginCallbacks.cacheWillUpdate.length !== 1) {
-        throw ErrorFactory.createError('multiple-cache-will-update-plugins');
-      }
-    }
-
-    if (this.pluginCallbacks.cacheWillMatch) {
-      if (this.pluginCallbacks.cacheWillMatch.length !== 1) {
-        throw ErrorFactory.createError('multiple-cache-will-match-plugins');
-      }
-    }
   }
 
   /**
@@ -146,20 +174,24 @@ class RequestWrapper {
     assert.atLeastOne({request});
 
     const cache = await this.getCache();
-    let cachedResponse = await cache.match(request, this.matchOptions);
+    const cacheKey = await this._getCacheKey({request, mode: 'read'});
+    let cachedResponse = await cache.match(cacheKey, this.matchOptions);
 
-    if (this.pluginCallbacks.cacheWillMatch) {
-      cachedResponse = this.pluginCallbacks.cacheWillMatch[0](
-        {cachedResponse});
+    for (let callback of (this.pluginCallbacks.cacheWillMatch || [])) {
+      if (!cachedResponse) {
+        break;
+      }
+      cachedResponse = await callback(
+        {cacheName: this.cacheName, request, cacheKey, cachedResponse});
     }
 
-    return cachedResponse;
+    return cachedResponse || undefined;
   }
 
   /**
    * Wraps `fetch()`, calls all `requestWillFetch` before making the network
-   * request, and calls any `fetchDidFail` callbacks from the
-   * registered plugins if the request fails.
+   * request, and calls any `fetchDidSucceed` or `fetchDidFail` callbacks from
+   * the registered plugins depending on whether the request succeeds.
    *
    * @example
    * requestWrapper.fetch({
@@ -181,25 +213,31 @@ class RequestWrapper {
 
     if (this.pluginCallbacks.requestWillFetch) {
       for (let callback of this.pluginCallbacks.requestWillFetch) {
-        const returnedPromise = callback({request});
-        assert.isInstance({returnedPromise}, Promise);
-        const returnedRequest = await returnedPromise;
+        const returnedRequest = await callback({request});
         assert.isInstance({returnedRequest}, Request);
         request = returnedRequest;
       }
     }
 
+    let response;
     try {
-      return await fetch(request, this.fetchOptions);
+      response = await fetch(request, this.fetchOptions);
     } catch (err) {
       if (this.pluginCallbacks.fetchDidFail) {
         for (let callback of this.pluginCallbacks.fetchDidFail) {
-          callback({request});
+          await callback({request});
         }
       }
 
       throw err;
     }
+
+    for (let callback of (this.pluginCallbacks.fetchDidSucceed || [])) {
+      response = await callback({request, response});
+      assert.isInstance({response}, Response);
+    }
+
+    return response;
   }
 
   /**
@@ -231,60 +269,193 @@ class RequestWrapper {
    * @param {Request} [input.cacheKey] Supply a cacheKey if you wish to cache
    *        the response against an alternative request to the `request`
    *        argument.
+   * @param {ExtendableEvent} [input.event] If provided and `waitOnCache` is
+   *        `false`, the event's lifetime is extended until fetching and
+   *        caching, including any `cacheDidUpdate` callbacks, complete. Any
+   *        error raised while caching is then reported through the event
+   *        instead of being lost. Since this calls `event.waitUntil()`, the
+   *        method has to be called while the event is still active, e.g.
+   *        synchronously from a `fetch` listener or a handler's `handle()`.
+   *        It's also passed along to any `cacheDidUpdate` callbacks.
    * @return {Promise.<Response>} The network response.
    */
-  async fetchAndCache({request, waitOnCache, cacheKey}) {
+  async fetchAndCache({request, waitOnCache, cacheKey, event}) {
     assert.atLeastOne({request});
 
+    const fetchedAndCached = this._fetchAndCache(
+      {request, waitOnCache, cacheKey, event});
+
+    // The event may no longer be active once the network request completes,
+    // so its lifetime is extended up front, covering both fetching and
+    // caching. A failed fetch is reported through the returned promise.
+    if (event && !waitOnCache) {
+      event.waitUntil(fetchedAndCached.then(
+        ({cachingComplete}) => cachingComplete, () => {}));
+    }
+
+    const {response, cachingComplete} = await fetchedAndCached;
+
+    // Only conditionally await the caching completion, giving developers the
+    // option of returning early for, e.g., read-through-caching scenarios.
+    if (waitOnCache && cachingComplete) {
+      await cachingComplete;
+    }
+
+    return response;
+  }
+
+  /**
+   * Fetches the request and starts caching the response, without waiting for
+   * caching to complete.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Request} input.request The request to fetch.
+   * @param {boolean} [input.waitOnCache] Whether the caller requires the
+   *        response to be cached.
+   * @param {Request} [input.cacheKey] An alternative cache key.
+   * @param {ExtendableEvent} [input.event] The event passed to
+   *        `cacheDidUpdate` callbacks.
+   * @return {Promise.<Object>} Resolves with the network `response` and a
+   *         `cachingComplete` promise, which is `undefined` if the response
+   *         isn't cached.
+   */
+  async _fetchAndCache({request, waitOnCache, cacheKey, event}) {
     let cachingComplete;
     const response = await this.fetch({request});
 
-    // response.ok is true if the response status is 2xx.
-    // That's the default condition.
-    let cacheable = response.ok;
-    if (this.pluginCallbacks.cacheWillUpdate) {
-      cacheable = this.pluginCallbacks.cacheWillUpdate[0](
-        {request, response});
-    }
+    const responseToCache = await this._getResponseToCache(
+      {request, response});
 
-    if (cacheable) {
-      const newResponse = response.clone();
+    if (responseToCache) {
+      const newResponse = responseToCache === response ?
+        response.clone() : responseToCache;
 
-      // cacheDelay is a promise that may or may not be used to delay the
-      // completion of this method, depending on the value of `waitOnCache`.
+      // cachingComplete is a promise that may or may not be used to delay the
+      // completion of fetchAndCache(), depending on the value of
+      // `waitOnCache`.
       cachingComplete = this.getCache().then(async (cache) => {
         let oldResponse;
+        const cacheRequest = await this._getCacheKey(
+          {request: cacheKey || request, mode: 'write'});
 
         // Only bother getting the old response if the new response isn't opaque
         // and there's at least one cacheDidUpdateCallbacks. Otherwise, we don't
-        // need it.
-        if (response.type !== 'opaque' &&
+        // need it. It's read straight from the cache, since the cacheWillMatch
+        // callbacks are meant for responses that are about to be used.
+        if (newResponse.type !== 'opaque' &&
           this.pluginCallbacks.cacheDidUpdate) {
-          oldResponse = await this.match({request});
+          oldResponse = await cache.match(cacheRequest, this.matchOptions);
         }
 
+        // cache.put() consumes the body of the response it's given, so the
+        // cacheDidUpdate callbacks get a copy that can still be read, e.g. to
+        // measure its size.
+        const updatedResponse = this.pluginCallbacks.cacheDidUpdate ?
+          newResponse.clone() : undefined;
+
         // Regardless of whether or not we'll end up invoking
         // cacheDidUpdateCallbacks, wait until the cache is updated.
-        const cacheRequest = cacheKey || request;
-        await cache.put(cacheRequest, newResponse);
+        await this._putWithQuotaRetry(
+          {cache, request: cacheRequest, response: newResponse});
 
         for (let callback of (this.pluginCallbacks.cacheDidUpdate || [])) {
-          callback({cacheName: this.cacheName, oldResponse, newResponse});
+          await callback({cacheName: this.cacheName, oldResponse,
+            newResponse: updatedResponse, request: cacheRequest, event});
         }
       });
-    } else if (!cacheable && waitOnCache) {
+    } else if (waitOnCache) {
       // If the developer request to wait on the cache but the response
       // isn't cacheable, throw an error.
       throw ErrorFactory.createError('invalid-reponse-for-caching');
     }
 
-    // Only conditionally await the caching completion, giving developers the
-    // option of returning early for, e.g., read-through-caching scenarios.
-    if (waitOnCache && cachingComplete) {
-      await cachingComplete;
+    return {response, cachingComplete};
+  }
+
+  /**
+   * Writes a response to the cache. If that fails with a `QuotaExceededError`
+   * and there are registered quota error callbacks, such as the ones set up by
+   * `sw-cache-expiration`'s `purgeOnQuotaError` option, they're run to free up
+   * space and the write is retried once.
+   *
+   * A failed `put()` consumes the response body, so the retry is made with a
+   * copy of the response. The copy is only made when there are quota error
+   * callbacks, since otherwise the write is never retried.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Cache} input.cache The cache to write to.
+   * @param {Request|string} input.request The cache key.
+   * @param {Response} input.response The response to cache.
+   * @return {Promise} Resolves once the response has been cached.
+   */
+  _putWithQuotaRetry({cache, request, response}) {
+    const retryResponse = hasQuotaErrorCallbacks() ?
+      response.clone() : undefined;
+
+    return cache.put(request, response).catch((err) => {
+      if (err.name !== 'QuotaExceededError' || !retryResponse) {
+        throw err;
+      }
+
+      return executeQuotaErrorCallbacks({cacheName: this.cacheName})
+        .then(() => cache.put(request, retryResponse));
+    });
+  }
+
+  /**
+   * Runs the request through the `cacheKeyWillBeUsed` callbacks of all the
+   * registered plugins, in order, to get the key used for a cache operation.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Request|string} input.request The request being read or written.
+   * @param {string} input.mode Either `'read'` or `'write'`.
+   * @return {Promise<Request|string>} The cache key to use.
+   */
+  async _getCacheKey({request, mode}) {
+    let cacheKey = request;
+    for (let callback of (this.pluginCallbacks.cacheKeyWillBeUsed || [])) {
+      cacheKey = await callback({request: cacheKey, mode});
+      if (typeof cacheKey === 'string') {
+        cacheKey = new Request(cacheKey);
+      }
+      assert.isInstance({cacheKey}, Request);
     }
+    return cacheKey;
+  }
 
-    return response;
+  /**
+   * Runs the response through the `cacheWillUpdate` callbacks of all the
+   * registered plugins, in order. If there are no such plugins, only
+   * responses with a 2xx status are cached.
+   *
+   * @private
+   * @param {Object} input
+   * @param {Request} input.request The request that was fetched.
+   * @param {Response} input.response The network response.
+   * @return {Promise<Response|null>} The response that should be cached, or
+   *         `null` if nothing should be cached.
+   */
+  async _getResponseToCache({request, response}) {
+    if (!this.pluginCallbacks.cacheWillUpdate) {
+      // response.ok is true if the response status is 2xx.
+      // That's the default condition.
+      return response.ok ? response : null;
+    }
+
+    let responseToCache = response;
+    for (let callback of this.pluginCallbacks.cacheWillUpdate) {
+      const result = await callback({request, response: responseToCache});
+      if (!result) {
+        return null;
+      }
+      if (result instanceof Response) {
+        responseToCache = result;
+      }
+    }
+    return responseToCache;
   }
 }
 
@@ -51,8 +51,11 @@ class StaleWhileRevalidate extends Handler {
   async handle({event} = {}) {
     assert.isInstance({event}, FetchEvent);
 
+    // This has to be called before anything is awaited, so that the event's
+    // lifetime can be extended to cover caching the network response.
     const fetchAndCacheResponse = this.requestWrapper.fetchAndCache({
       request: event.request,
+      event,
     }).catch(() => Response.error());
     const cachedResponse = await this.requestWrapper.match({
       request: event.request,
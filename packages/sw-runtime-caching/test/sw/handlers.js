@@ -0,0 +1,151 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-runtime-caching/build/sw-runtime-caching.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the Handler classes', function() {
+  const cacheName = 'handlers-test';
+  const url = `${location.origin}/handlers/test.txt`;
+
+  // A FetchEvent that records the promises passed to waitUntil(), since the
+  // real method can only be called on events dispatched by the browser.
+  const createFetchEvent = () => {
+    const event = new FetchEvent('fetch', {request: new Request(url)});
+    event.lifetimePromises = [];
+    event.waitUntil = (promise) => event.lifetimePromises.push(promise);
+    return event;
+  };
+
+  // A RequestWrapper whose network requests resolve with a new response once
+  // `delay` milliseconds have passed, without making a real request.
+  const createRequestWrapper = ({plugins, delay = 0} = {}) => {
+    const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+      cacheName,
+      plugins,
+    });
+    requestWrapper.fetch = () => {
+      return new Promise((resolve) => setTimeout(resolve, delay))
+        .then(() => new Response('network'));
+    };
+    return requestWrapper;
+  };
+
+  const getCachedText = () => {
+    return caches.match(url, {cacheName})
+      .then((response) => response && response.text());
+  };
+
+  beforeEach(function() {
+    return caches.open(cacheName)
+      .then((cache) => cache.put(url, new Response('cached')));
+  });
+
+  afterEach(function() {
+    return caches.delete(cacheName);
+  });
+
+  describe('StaleWhileRevalidate', function() {
+    it('should extend the event lifetime until the cache is updated', function() {
+      const event = createFetchEvent();
+      const handler = new goog.runtimeCaching.StaleWhileRevalidate({
+        requestWrapper: createRequestWrapper({delay: 10}),
+      });
+
+      const responsePromise = handler.handle({event});
+      expect(event.lifetimePromises.length).to.equal(1);
+
+      return responsePromise
+        .then((response) => response.text())
+        .then((text) => {
+          expect(text).to.equal('cached');
+          return Promise.all(event.lifetimePromises);
+        })
+        .then(() => getCachedText())
+        .then((text) => {
+          expect(text).to.equal('network');
+        });
+    });
+  });
+
+  describe('handlerDidComplete', function() {
+    it('should call every callback, even if one of them throws', function() {
+      const request = new Request(url);
+      let secondInput;
+      const handler = new goog.runtimeCaching.CacheOnly({
+        requestWrapper: createRequestWrapper({plugins: [
+          {handlerDidComplete: () => {
+            throw new Error('Injected error.');
+          }},
+          {handlerDidComplete: (input) => secondInput = input},
+        ]}),
+      });
+
+      return handler.handlerDidComplete({
+        request,
+        response: new Response('response'),
+        startTime: 1000,
+        duration: 10,
+      }).then(() => {
+        expect(secondInput.request).to.equal(request);
+        expect(secondInput.response).to.be.instanceof(Response);
+        expect(secondInput.startTime).to.equal(1000);
+        expect(secondInput.duration).to.equal(10);
+      });
+    });
+  });
+
+  describe('NetworkFirst', function() {
+    it('should extend the event lifetime when the timeout wins', function() {
+      const event = createFetchEvent();
+      const handler = new goog.runtimeCaching.NetworkFirst({
+        requestWrapper: createRequestWrapper({delay: 100}),
+        networkTimeoutSeconds: 0.01,
+      });
+
+      const responsePromise = handler.handle({event});
+      expect(event.lifetimePromises.length).to.equal(1);
+
+      return responsePromise
+        .then((response) => response.text())
+        .then((text) => {
+          expect(text).to.equal('cached');
+          return Promise.all(event.lifetimePromises);
+        })
+        .then(() => getCachedText())
+        .then((text) => {
+          expect(text).to.equal('network');
+        });
+    });
+
+    it('should keep waiting on the network when reading the cache fails after the timeout', function() {
+      const unhandledRejections = [];
+      const onUnhandledRejection = (event) => unhandledRejections.push(event);
+      self.addEventListener('unhandledrejection', onUnhandledRejection);
+
+      const handler = new goog.runtimeCaching.NetworkFirst({
+        requestWrapper: createRequestWrapper({delay: 50, plugins: [
+          {cacheWillMatch: () => {
+            throw new Error('Injected cache error.');
+          }},
+        ]}),
+        networkTimeoutSeconds: 0.01,
+      });
+
+      return handler.handle({event: createFetchEvent()})
+        .then((response) => response.text())
+        .then((text) => {
+          self.removeEventListener('unhandledrejection', onUnhandledRejection);
+          expect(text).to.equal('network');
+          expect(unhandledRejections).to.eql([]);
+        });
+    });
+  });
+});
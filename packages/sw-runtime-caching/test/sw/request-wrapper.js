@@ -0,0 +1,382 @@
+importScripts(
+  '/node_modules/mocha/mocha.js',
+  '/node_modules/chai/chai.js',
+  '/node_modules/sw-testing-helpers/build/browser/mocha-utils.js',
+  '/packages/sw-runtime-caching/build/sw-runtime-caching.min.js'
+);
+
+const expect = self.chai.expect;
+mocha.setup({
+  ui: 'bdd',
+  reporter: null,
+});
+
+describe('Test of the RequestWrapper class', function() {
+  const cacheName = 'request-wrapper-test';
+  const url = `${location.origin}/request-wrapper/test.txt`;
+
+  // Each test gets a RequestWrapper whose network requests resolve with the
+  // given response, without making a real request.
+  const createRequestWrapper = ({plugins, response = new Response('network')}) => {
+    const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+      cacheName,
+      plugins,
+    });
+    requestWrapper.fetch = () => Promise.resolve(response);
+    return requestWrapper;
+  };
+
+  afterEach(function() {
+    return caches.delete(cacheName);
+  });
+
+  describe('cacheWillMatch', function() {
+    beforeEach(function() {
+      return caches.open(cacheName)
+        .then((cache) => cache.put(url, new Response('cached')));
+    });
+
+    it('should pass the response returned by each callback to the next one', function() {
+      let secondCachedResponse;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheWillMatch: () => new Response('first')},
+        {cacheWillMatch: ({cachedResponse}) => {
+          secondCachedResponse = cachedResponse;
+          return cachedResponse;
+        }},
+      ]});
+
+      return requestWrapper.match({request: url})
+        .then((response) => {
+          expect(response).to.equal(secondCachedResponse);
+          return response.text();
+        })
+        .then((text) => {
+          expect(text).to.equal('first');
+        });
+    });
+
+    it('should skip the remaining callbacks once one returns a falsy value', function() {
+      let secondWasCalled = false;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheWillMatch: () => null},
+        {cacheWillMatch: ({cachedResponse}) => {
+          secondWasCalled = true;
+          return cachedResponse;
+        }},
+      ]});
+
+      return requestWrapper.match({request: url}).then((response) => {
+        expect(response).to.not.exist;
+        expect(secondWasCalled).to.equal(false);
+      });
+    });
+
+    it('should not be called for the old response passed to cacheDidUpdate', function() {
+      let cacheWillMatchWasCalled = false;
+      let oldResponse;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheWillMatch: () => {
+          cacheWillMatchWasCalled = true;
+          return null;
+        }},
+        {cacheDidUpdate: (input) => oldResponse = input.oldResponse},
+      ]});
+
+      return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+        .then(() => {
+          expect(cacheWillMatchWasCalled).to.equal(false);
+          return oldResponse.text();
+        })
+        .then((text) => {
+          expect(text).to.equal('cached');
+        });
+    });
+  });
+
+  describe('cacheWillUpdate', function() {
+    it('should cache the Response returned by a callback', function() {
+      let secondResponse;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheWillUpdate: () => new Response('replacement')},
+        {cacheWillUpdate: ({response}) => {
+          secondResponse = response;
+          return true;
+        }},
+      ]});
+
+      return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+        .then(() => {
+          expect(secondResponse).to.be.instanceof(Response);
+          return caches.match(url, {cacheName});
+        })
+        .then((cachedResponse) => cachedResponse.text())
+        .then((text) => {
+          expect(text).to.equal('replacement');
+        });
+    });
+
+    it('should not cache when any callback returns a falsy value', function() {
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheWillUpdate: () => true},
+        {cacheWillUpdate: () => false},
+      ]});
+
+      return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+        .then(() => {
+          throw new Error('Expected an error.');
+        }, (err) => {
+          expect(err.name).to.equal('invalid-reponse-for-caching');
+        });
+    });
+
+    it('should only cache 2xx responses when there are no callbacks', function() {
+      const requestWrapper = createRequestWrapper({
+        response: new Response('', {status: 500}),
+      });
+
+      return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+        .then(() => {
+          throw new Error('Expected an error.');
+        }, (err) => {
+          expect(err.name).to.equal('invalid-reponse-for-caching');
+        });
+    });
+  });
+
+  describe('fetchDidSucceed', function() {
+    const originalFetch = self.fetch;
+
+    beforeEach(function() {
+      self.fetch = () => Promise.resolve(new Response('network'));
+    });
+
+    afterEach(function() {
+      self.fetch = originalFetch;
+    });
+
+    it('should use the response returned by each callback', function() {
+      let callbackRequest;
+      const requestWrapper = new goog.runtimeCaching.RequestWrapper({
+        cacheName,
+        plugins: [
+          {fetchDidSucceed: ({request}) => {
+            callbackRequest = request;
+            return new Response('modified');
+          }},
+        ],
+      });
+
+      return requestWrapper.fetch({request: url})
+        .then((response) => response.text())
+        .then((text) => {
+          expect(callbackRequest).to.equal(url);
+          expect(text).to.equal('modified');
+        });
+    });
+  });
+
+  describe('cacheKeyWillBeUsed', function() {
+    it('should use the returned key for both writes and reads', function() {
+      const modes = [];
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheKeyWillBeUsed: ({request, mode}) => {
+          modes.push(mode);
+          const keyUrl = new URL(request.url || request);
+          keyUrl.search = '';
+          return keyUrl.href;
+        }},
+      ]});
+
+      return requestWrapper.fetchAndCache({
+        request: new Request(`${url}?token=1`),
+        waitOnCache: true,
+      })
+        .then(() => caches.match(url, {cacheName}))
+        .then((cachedResponse) => {
+          expect(cachedResponse).to.exist;
+          return requestWrapper.match({request: `${url}?token=2`});
+        })
+        .then((response) => {
+          expect(response).to.exist;
+          expect(modes).to.eql(['write', 'read']);
+        });
+    });
+
+    it('should pass the keys that were used to cacheDidUpdate and cacheWillMatch', function() {
+      let cacheDidUpdateRequest;
+      let cacheWillMatchInput;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheKeyWillBeUsed: ({request}) => {
+          const keyUrl = new URL(request.url || request);
+          keyUrl.search = '';
+          return keyUrl.href;
+        }},
+        {cacheDidUpdate: ({request}) => cacheDidUpdateRequest = request},
+        {cacheWillMatch: (input) => {
+          cacheWillMatchInput = input;
+          return input.cachedResponse;
+        }},
+      ]});
+
+      return requestWrapper.fetchAndCache({
+        request: `${url}?token=1`,
+        waitOnCache: true,
+      })
+        .then(() => {
+          expect(cacheDidUpdateRequest.url).to.equal(url);
+          return requestWrapper.match({request: `${url}?token=2`});
+        })
+        .then(() => {
+          expect(cacheWillMatchInput.request).to.equal(`${url}?token=2`);
+          expect(cacheWillMatchInput.cacheKey.url).to.equal(url);
+        });
+    });
+  });
+
+  describe('fetchAndCache with a full quota', function() {
+    let quotaErrorCallbackCount;
+    let quotaErrorCallbackInput;
+    const quotaErrorCallback = (input) => {
+      quotaErrorCallbackCount++;
+      quotaErrorCallbackInput = input;
+    };
+
+    // The callbacks are shared through the goog namespace, which is how
+    // sw-cache-expiration registers them.
+    beforeEach(function() {
+      quotaErrorCallbackCount = 0;
+      self.goog._quotaErrorCallbacks =
+        self.goog._quotaErrorCallbacks || new Set();
+      self.goog._quotaErrorCallbacks.add(quotaErrorCallback);
+    });
+
+    afterEach(function() {
+      self.goog._quotaErrorCallbacks.delete(quotaErrorCallback);
+    });
+
+    // Returns a RequestWrapper whose cache rejects the first put() with the
+    // given error, and which keeps track of its network requests and of the
+    // responses written to the cache.
+    const createFailingRequestWrapper = (error, plugins) => {
+      const requestWrapper = createRequestWrapper({plugins});
+      const calls = {fetch: 0, put: 0, putResponses: []};
+      requestWrapper.fetch = () => {
+        calls.fetch++;
+        return Promise.resolve(new Response('network'));
+      };
+      requestWrapper.getCache = () => Promise.resolve({
+        match: () => Promise.resolve(),
+        put: (request, response) => {
+          calls.put++;
+          calls.putResponses.push(response);
+          return calls.put === 1 ? Promise.reject(error) : Promise.resolve();
+        },
+      });
+      return {requestWrapper, calls};
+    };
+
+    it('should run the quota error callbacks and retry the write on a QuotaExceededError', function() {
+      let cacheDidUpdateResponse;
+      const {requestWrapper, calls} = createFailingRequestWrapper(
+        new DOMException('Injected quota error.', 'QuotaExceededError'),
+        [{cacheDidUpdate: ({newResponse}) => cacheDidUpdateResponse = newResponse}]);
+
+      return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+        .then(() => {
+          expect(quotaErrorCallbackCount).to.equal(1);
+          expect(quotaErrorCallbackInput).to.eql({cacheName});
+          expect(calls.put).to.equal(2);
+          // The retry is made with a copy of the response, rather than with
+          // a new one from the network.
+          expect(calls.fetch).to.equal(1);
+          return Promise.all([calls.putResponses[1].text(),
+            cacheDidUpdateResponse.text()]);
+        })
+        .then((texts) => {
+          expect(texts).to.eql(['network', 'network']);
+        });
+    });
+
+    it('should rethrow other errors without retrying the write', function() {
+      const {requestWrapper, calls} = createFailingRequestWrapper(
+        new Error('Injected cache error.'));
+
+      return requestWrapper.fetchAndCache({request: url, waitOnCache: true})
+        .then(() => {
+          throw new Error('Expected an error.');
+        }, (err) => {
+          expect(err.message).to.equal('Injected cache error.');
+          expect(quotaErrorCallbackCount).to.equal(0);
+          expect(calls.put).to.equal(1);
+          expect(calls.fetch).to.equal(1);
+        });
+    });
+  });
+
+  describe('fetchAndCache with an event', function() {
+    it('should extend the event lifetime synchronously, until caching completes', function() {
+      let lifetimePromise;
+      const event = {waitUntil: (promise) => lifetimePromise = promise};
+      let cacheDidUpdateCompleted = false;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheDidUpdate: () => {
+          return new Promise((resolve) => setTimeout(resolve, 10))
+            .then(() => cacheDidUpdateCompleted = true);
+        }},
+      ]});
+
+      const responsePromise = requestWrapper.fetchAndCache(
+        {request: url, event});
+      expect(lifetimePromise).to.exist;
+
+      return responsePromise
+        .then(() => lifetimePromise)
+        .then(() => {
+          expect(cacheDidUpdateCompleted).to.equal(true);
+          return caches.match(url, {cacheName});
+        })
+        .then((cachedResponse) => {
+          expect(cachedResponse).to.exist;
+        });
+    });
+
+    it('should pass the request and event to cacheDidUpdate', function() {
+      let lifetimePromise;
+      const event = {waitUntil: (promise) => lifetimePromise = promise};
+      let cacheDidUpdateInput;
+      const requestWrapper = createRequestWrapper({plugins: [
+        {cacheDidUpdate: (input) => cacheDidUpdateInput = input},
+      ]});
+
+      return requestWrapper.fetchAndCache({request: url, event})
+        .then(() => lifetimePromise)
+        .then(() => {
+          expect(cacheDidUpdateInput.cacheName).to.equal(cacheName);
+          expect(cacheDidUpdateInput.request).to.equal(url);
+          expect(cacheDidUpdateInput.event).to.equal(event);
+          expect(cacheDidUpdateInput.newResponse).to.be.instanceof(Response);
+        });
+    });
+
+    it('should report caching errors through the event', function() {
+      let lifetimePromise;
+      const event = {waitUntil: (promise) => lifetimePromise = promise};
+      const requestWrapper = createRequestWrapper({});
+      requestWrapper.getCache = () => Promise.resolve({
+        put: () => Promise.reject(new Error('Injected cache error.')),
+      });
+
+      return requestWrapper.fetchAndCache({request: url, event})
+        .then((response) => {
+          expect(response).to.be.instanceof(Response);
+          return lifetimePromise;
+        })
+        .then(() => {
+          throw new Error('Expected an error.');
+        }, (err) => {
+          expect(err.message).to.equal('Injected cache error.');
+        });
+    });
+  });
+});